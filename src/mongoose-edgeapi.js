@@ -1,11 +1,14 @@
 'use strict';
 
 // Node Modules
-var querystring = require('querystring');
+var querystring = require('querystring'),
+    crypto = require('crypto'),
+    EventEmitter = require('events').EventEmitter;
 
 // 3rd Party Node Modules
 var Q = require('q'),
-    _ = require('underscore');
+    _ = require('underscore'),
+    mongoose = require('mongoose');
 
 /**
  * Escape regular expression string
@@ -19,415 +22,4101 @@ function escapeRegExp(str) {
 }
 
 /**
- * Default config used throughout the API instantiation and usage
- * @type {Object}
+ * Create an error object carrying the HTTP status code it should be served with
+ * @param  {Number} status  HTTP status code
+ * @param  {String} message error message
+ * @return {Object}         error object
  */
-exports.config = {
-    /**
-     * relative URL base for your REST services a value of /api/ will give you URLs that start with  mysite.com/api/
-     * @type {String}
-     */
-    baseURL: '/api/',
-    /**
-     * default offset (aka, skip) value to be supplied in queries fetching collection documents
-     * @type {Number}
-     */
-    queryOffset: 0,
-    /**
-     * default limit value to be supplied in queries fetching collection documents
-     * @type {Number}
-     */
-    queryLimit: 0,
-    /**
-     * default value for query sorting
-     * @type {Object}
-     */
-    querySort: {},
+function createError(status, message) {
+    var error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Check if a value is an array or an object literal, values such as dates, regular expressions
+ * and ObjectIds are not
+ * @param  {*}  value value to check
+ * @return {Boolean}
+ */
+function isPlainObject(value) {
+    return _.isArray(value) || (_.isObject(value) && value.constructor === Object);
+}
+
+/**
+ * Get the schema type of a field, fields of sub documents included
+ * @param  {Object} schema Mongoose schema
+ * @param  {String} field  field in dot notation, array positions may be $ or an index
+ * @return {Object}        Mongoose schema type, null when the field isn't part of the schema
+ */
+function getSchemaType(schema, field) {
+    var parts = field.split('.'),
+        length = parts.length,
+        schemaType = null,
+        rest;
+
+    while (length && !schemaType) {
+        schemaType = schema.path(parts.slice(0, length).join('.')) || null;
+        length -= (schemaType) ? 0 : 1;
+    }
+    rest = parts.slice(length);
+    if (rest.length && (rest[0] === '$' || /^\d+$/.test(rest[0]))) {
+        rest.shift();
+    }
+    if (!schemaType || !rest.length) {
+        return schemaType;
+    }
+    return (schemaType.schema) ? getSchemaType(schemaType.schema, rest.join('.')) : null;
+}
+
+/**
+ * Get the name of the Model a schema type references, arrays of references included
+ * @param  {Object} schemaType Mongoose schema type
+ * @return {String}            referenced Model name, null when the schema type isn't a reference
+ */
+function getReference(schemaType) {
+    var caster = schemaType && schemaType.caster;
+    return (schemaType && schemaType.options && schemaType.options.ref) ||
+        (caster && caster.options && caster.options.ref) || null;
+}
+
+/**
+ * Parse a date relative to the current time eg. now, now-7d or now+1h,
+ * units are s(econds), m(inutes), h(ours), d(ays) and w(eeks)
+ * @param  {String} value relative date
+ * @return {Date}         date, null when the value isn't a relative date
+ */
+function parseRelativeDate(value) {
+    var units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 },
+        match = /^now(?:([+\-])(\d+)([smhdw]))?$/.exec(value);
+
+    if (!match) {
+        return null;
+    }
+    return new Date(Date.now() + ((match[1]) ? Number(match[1] + match[2]) * units[match[3]] : 0));
+}
+
+/**
+ * Decode a value of a filter expression, characters reserved by the filter syntax may be percent encoded
+ * @param  {String} value encoded value
+ * @return {String}       decoded value
+ */
+function decodeFilterValue(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Build the query condition of a filter expression comparison
+ * @param  {String} operator filter operator eg. eq, gt or in
+ * @param  {String} field    field compared
+ * @param  {Array}  values   values compared to
+ * @return {Object}          query condition, throws a 400 error for unknown operators or the wrong number of values
+ */
+function filterCondition(operator, field, values) {
+    var operators = {
+            eq: null,
+            ne: '$ne',
+            lt: '$lt',
+            le: '$lte',
+            lte: '$lte',
+            gt: '$gt',
+            ge: '$gte',
+            gte: '$gte',
+            'in': '$in',
+            out: '$nin',
+            nin: '$nin',
+            exists: '$exists'
+        },
+        list = ~_.indexOf(['in', 'out', 'nin'], operator),
+        condition = {};
+
+    if (!_.has(operators, operator)) {
+        throw createError(400, 'Unknown filter operator: ' + operator);
+    }
+    if (!_.isString(field) || !field) {
+        throw createError(400, 'Filter operator ' + operator + ' expects a field');
+    }
+    if (operator === 'exists' && !values.length) {
+        values = ['true'];
+    }
+    if ((list) ? !values.length : values.length !== 1) {
+        throw createError(400, 'Filter operator ' + operator + ' expects ' + ((list) ? 'a list of values' : 'one value'));
+    }
+    condition[field] = (operators[operator]) ? _.object([operators[operator]], [(list) ? values : values[0]]) : values[0];
+    return condition;
+}
+
+/**
+ * Parse an RQL filter expression eg. and(eq(email,foo@bar.com),gt(age,21))
+ * @param  {String} filter RQL expression
+ * @return {Object}        mongodb query, values are left as strings
+ */
+function parseRql(filter) {
+    var index = 0;
+
     /**
-     * collection of fields to ignore when schema is being processed by getSchemaFields
-     * @type {Array}
+     * Read a name or value up to the next reserved character
+     * @return {String} decoded name or value
      */
-    schemaFieldIgnore: ['__v'],
+    function readToken() {
+        var start = index;
+        while (index < filter.length && !~'(),'.indexOf(filter.charAt(index))) {
+            index += 1;
+        }
+        return decodeFilterValue(filter.slice(start, index));
+    }
+
     /**
-     * collection of JSON keys to ignore (aka, not discard) when processing the parameters in buildQueryFromParams
-     * @type {Array}
+     * Read a value or a call such as eq(field,value) with its arguments
+     * @return {String|Object} value or query of the call
      */
-    queryOperatorIgnore: [
-        // http://docs.mongodb.org/manual/reference/operator/
-        //
-        // Query and update operators
-        //
-        '$addToSet', '$all', '$and', '$bit', '$box', '$center', '$centerSphere',
-        '$comment', '$each', '$elemMatch (query)', '$exists', '$explain', '$geoIntersects',
-        '$geoWithin', '$geometry', '$gt', '$gte', '$hint', '$in', '$inc', '$isolated', '$lt',
-        '$lte', '$max', '$maxDistance', '$maxScan', '$min', '$mod', '$natural', '$ne', '$near',
-        '$nearSphere', '$nin', '$nor', '$not', '$or', '$orderby', '$polygon', '$pop',
-        '$pull', '$pullAll', '$push', '$pushAll', '$query', '$regex', '$rename',
-        '$returnKey', '$set', '$setOnInsert', '$showDiskLoc', '$size', '$slice', '$snapshot',
-        '$sort', '$type', '$uniqueDocs', '$unset', '$where', // '$' handled differently
-        //
-        // Projection operators:
-        //
-        '$elemMatch', '$slice', // '$' handled differently
-        //
-        // Aggregation operators:
-        //
-        '$add', '$addToSet', '$and', '$avg', '$cmp', '$concat', '$cond', '$dayOfMonth',
-        '$dayOfWeek', '$dayOfYear', '$divide', '$eq', '$first', '$geoNear', '$group', '$gt',
-        '$gte', '$hour', '$ifNull', '$last', '$limit', '$lt', '$lte', '$match', '$max',
-        '$millisecond', '$min', '$minute', '$mod', '$month', '$multiply', '$ne', '$not',
-        '$or', '$project', '$push', '$second', '$skip', '$sort', '$strcasecmp', '$substr',
-        '$subtract', '$sum', '$toLower', '$toUpper', '$unwind', '$week', '$year',
-    ],
+    function readArgument() {
+        var name = readToken(),
+            args = [];
+
+        if (filter.charAt(index) !== '(') {
+            return name;
+        }
+        index += 1;
+        while (filter.charAt(index) !== ')') {
+            args.push(readArgument());
+            if (filter.charAt(index) === ',') {
+                index += 1;
+            } else if (filter.charAt(index) !== ')') {
+                throw createError(400, 'Invalid filter, expected , or ) at position ' + index);
+            }
+        }
+        index += 1;
+
+        if (~_.indexOf(['and', 'or', 'not'], name)) {
+            if (!args.length || _.some(args, _.isString)) {
+                throw createError(400, 'Filter operator ' + name + ' expects conditions');
+            }
+            if (name === 'not') {
+                return { $nor: args };
+            }
+            return (args.length === 1) ? args[0] : _.object(['$' + name], [args]);
+        }
+        if (_.some(args, _.isObject)) {
+            throw createError(400, 'Filter operator ' + name + ' expects a field and values');
+        }
+        return filterCondition(name, args[0], args.slice(1));
+    }
+
+    var query = readArgument();
+    if (index < filter.length || !_.isObject(query)) {
+        throw createError(400, 'Invalid filter at position ' + index);
+    }
+    return query;
+}
+
+/**
+ * Parse a FIQL filter expression eg. email==foo@bar.com;age=gt=21, ; combines constraints with and,
+ * a comma with or, == values may hold * wildcards and lists are wrapped in parentheses eg. tags=in=(a,b)
+ * @param  {String} filter FIQL expression
+ * @return {Object}        mongodb query, values are left as strings
+ */
+function parseFiql(filter) {
+    var index = 0,
+        comparisons = { '==': 'eq', '!=': 'ne' };
+
     /**
-     * Collection of proprietary field modifiers that can be used in query param keys
-     * example usage: somefield.contains=Some Value
-     * @type {Array}
+     * Read characters while they match a pattern
+     * @param  {RegExp} pattern single character pattern
+     * @return {String}         characters read
      */
-    fieldModifiers: ['contains', 'regex'],
+    function readWhile(pattern) {
+        var start = index;
+        while (index < filter.length && pattern.test(filter.charAt(index))) {
+            index += 1;
+        }
+        return filter.slice(start, index);
+    }
+
     /**
-     * Process proprietary modifier value and return appropriate mongodb syntax
-     * @param  {String} modifier modifier type
-     * @param  {Sring|Object} value    value of query field
-     * @return {String|Object}          mongodb appropriate value
+     * Read a constraint eg. age=gt=21
+     * @return {Object} query condition
      */
-    processModifier: function (modifier, value) {
-        var modiferValue = value,
-            flags = '';
-        switch (modifier) {
-        case 'contains':
-            modiferValue = { '$regex' : new RegExp(escapeRegExp(value)) };
-            break;
-        case 'regex':
-            if (value.indexOf('/') === 0) {
-                // expecting regex to be in format of /regex/flags
-                value = value.split('/');
-                flags = value[2] || flags;
-                value = value[1];
+    function readConstraint() {
+        var field = decodeFilterValue(readWhile(/[^=!<>;,()]/)),
+            comparison = (/^(==|!=|=[a-z]+=)/.exec(filter.slice(index)) || [])[0],
+            values;
+
+        if (!comparison) {
+            throw createError(400, 'Invalid filter comparison at position ' + index);
+        }
+        index += comparison.length;
+        if (filter.charAt(index) === '(') {
+            index += 1;
+            values = _.map(readWhile(/[^)]/).split(','), decodeFilterValue);
+            if (filter.charAt(index) !== ')') {
+                throw createError(400, 'Invalid filter, expected ) at position ' + index);
             }
+            index += 1;
+        } else {
+            values = [decodeFilterValue(readWhile(/[^;,()]/))];
+        }
 
-            modiferValue = { '$regex' : new RegExp(value, flags) };
-            break;
+        if (comparison === '==' && /\*/.test(values[0])) {
+            return _.object([field], [{ $regex: new RegExp('^' + _.map(values[0].split('*'), escapeRegExp).join('.*') + '$') }]);
         }
-        return modiferValue;
-    },
+        return filterCondition(comparisons[comparison] || comparison.slice(1, -1), field, values);
+    }
+
     /**
-     * Serve JSON response to browser
-     * @param  {Object} res    node http response object
-     * @param  {Number} code   header response code
-     * @param  {Object} object JSON data to be sent in response
-     * @return {Object}        JSON data sent in response
+     * Read conditions separated by ; (and) or , (or)
+     * @param  {String}   separator ; or ,
+     * @param  {Function} read      function reading each condition
+     * @return {Object}             query
      */
-    serveJson: function (res, code, object) {
-        // http://en.wikipedia.org/wiki/Cross-origin_resource_sharing
-        res.set({
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'X-Requested-With'
-        });
-        res.json(code, object);
-        return object;
-    },
+    function readList(separator, read) {
+        var conditions = [read()];
+        while (filter.charAt(index) === separator) {
+            index += 1;
+            conditions.push(read());
+        }
+        return (conditions.length === 1) ? conditions[0] : _.object([(separator === ';') ? '$and' : '$or'], [conditions]);
+    }
+
     /**
-     * Server JSON response error to browser
-     * @param  {Object} res   node http response object
-     * @param  {Object} [error={}] error object containing message to be sent in response
-     * @return {objebt}       error object
+     * Read a constraint or an expression grouped in parentheses
+     * @return {Object} query
      */
-    serveError: function (res, error) {
-        var config = this;
-        error = error || {};
-        config.serveJson(res, 500, {
-            message: error.message || 'Unknown error.'
+    function readFactor() {
+        var query;
+        if (filter.charAt(index) !== '(') {
+            return readConstraint();
+        }
+        index += 1;
+        query = readList(',', function () {
+            return readList(';', readFactor);
         });
-        return error;
-    },
-    /**
-     * Recursive function to get a list of fields from the mongoose schema.
-     * Nested fields will be represented in dot notation eg. field.child
-     * @param  {Object} schema  mongoose schema
-     * @param  {Array} [fields=[]]  collection of fields to start with
-     * @param  {String} [context=''] context of current schema keys in dot notation
-     * @return {Array}         list of fields from mongoose schema excluding ignored fields
-     */
-    getSchemaFields: function (schema, fields, context) {
-        var config = this,
-            paths = schema.paths,
-            field;
+        if (filter.charAt(index) !== ')') {
+            throw createError(400, 'Invalid filter, expected ) at position ' + index);
+        }
+        index += 1;
+        return query;
+    }
 
-        fields = fields || [];
-        context = context || '';
+    var query = readList(',', function () {
+        return readList(';', readFactor);
+    });
+    if (index < filter.length) {
+        throw createError(400, 'Invalid filter at position ' + index);
+    }
+    return query;
+}
 
-        _.each(paths, function (value, key) {
-            if (!~config.schemaFieldIgnore.indexOf(key)) {
-                field = (context) ? [context, key].join('.') : key;
-                if (value.caster) {
-                    // for Array values or Sub Documents
-                    fields.push(field + '.$');
-                }
+/**
+ * Parse the references to expand eg. author(name,email),comments.author into
+ * the paths to expand with the fields to select, if any
+ * @param  {String|Array} expand comma separated list of paths, fields to select are listed in parentheses,
+ *                               or an array of paths and { path, select } objects
+ * @return {Array}               [{ path, select }]
+ */
+function parseExpansions(expand) {
+    var expansions = [],
+        depth = 0,
+        start = 0;
 
-                if (value.schema) {
-                    config.getSchemaFields(value.schema, fields, field);
-                    // for Sub Documents
-                    config.getSchemaFields(value.schema, fields, field + '.$');
-                }
-                return fields.push(field);
-            }
-        });
-        return fields;
-    },
-    /**
-     * Get a list of fields from the mongoose schema virtual fields
-     * @param  {Object} schema mongoose schema
-     * @param  {Array} [fields=[]] collection of fields to start with
-     * @return {Array}        list of fields from mongoose schema virtual fields excluding ignored fields
-     */
-    getVirtualFields: function (schema, fields) {
-        var config = this,
-            virtuals = schema.virtuals;
+    if (_.isArray(expand)) {
+        return _.flatten(_.map(expand, function (expansion) {
+            return (_.isString(expansion)) ? parseExpansions(expansion) : {
+                path: expansion.path,
+                select: (_.isString(expansion.select)) ? _.compact(expansion.select.split(/[\s,]+/)) : expansion.select || null
+            };
+        }));
+    }
 
-        fields = fields || [];
-        _.each(virtuals, function (value, key) {
-            if (!~config.schemaFieldIgnore.indexOf(key)) {
-                return fields.push(key);
+    expand = String(expand || '');
+    _.each(expand + ',', function (character, index) {
+        var expansion;
+        if (character === '(') {
+            depth += 1;
+        } else if (character === ')') {
+            depth -= 1;
+        } else if (character === ',' && !depth) {
+            expansion = /^\s*([^()\s]+)\s*(?:\(([^()]*)\))?\s*$/.exec(expand.slice(start, index));
+            if (!expansion && /\S/.test(expand.slice(start, index))) {
+                throw createError(400, 'Invalid expand: ' + expand.slice(start, index));
             }
-        });
-        return fields;
-    },
-    /**
-     * Build projection object from a string of collection fields
-     * @param  {String} fields specially formatted list of projection fields
-     * @return {Ojbect}        mongodb formatted projection
-     */
-    buildProjectionFromString: function (fields) {
-        var projection = {};
-        _.each(fields.split(','), function (value) {
-            if (~value.indexOf(':')) {
-                var field = value.split(':');
-                projection[field[0]] = field[1];
-            } else {
-                projection[value] = 1;
+            if (expansion) {
+                expansions.push({
+                    path: expansion[1],
+                    select: (expansion[2]) ? _.compact(expansion[2].split(/[\s,]+/)) : null
+                });
             }
-        });
-        return projection;
-    },
-    /**
-     * Recursive function to build query params comparing param key to a list of approved fields
-     * Nested params will be represented in dot notation eg. field.child
-     * @param  {Object} params  all query parameters
-     * @param  {Array} fields  collection of acceptable key names
-     * @param  {String} [context=''] context of current param keys in dot notation
-     * @return {Object}         sanitized list of query parameters
-     */
-    buildQueryFromParams: function (params, fields, context) {
-        var config = this,
-            field;
-
-        if (!_.isObject(params)) {
-            return params;
+            start = index + 1;
         }
+    });
+    return expansions;
+}
 
-        context = context || '';
-        _.each(params, function (value, key, params) {
-            field = (context) ? [context, key].join('.') : key;
+/**
+ * Combine a query with the query of a filter expression
+ * @param  {Object} query  mongodb query
+ * @param  {Object} filter mongodb query of the filter expression
+ * @return {Object}        mongodb query matching both
+ */
+function combineQueries(query, filter) {
+    if (_.isEmpty(filter)) {
+        return query;
+    }
+    return (_.isEmpty(query)) ? filter : { $and: [query, filter] };
+}
 
-            // Factoring for GET parameters which make use of the
-            // proprietary modifier naming conventions
-            if (Number(key) !== key) {
-                var modifierKey = key.split('.'),
-                    modifier = modifierKey.pop();
-                if (~_.indexOf(config.fieldModifiers, modifier)) {
-                    delete params[key];
-                    value = config.processModifier(modifier, value);
-                    key = modifierKey.join('.');
-                    params[key] = value;
+/**
+ * Encode a buffer or string as URL safe base64 without padding
+ * @param  {Buffer|String} value value to encode
+ * @return {String}              base64url encoded value
+ */
+function base64UrlEncode(value) {
+    return (Buffer.isBuffer(value) ? value : new Buffer(String(value))).toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Decode a URL safe base64 string
+ * @param  {String} value base64url encoded value
+ * @return {String}       decoded value
+ */
+function base64UrlDecode(value) {
+    value = String(value).replace(/-/g, '+').replace(/_/g, '/');
+    while (value.length % 4) {
+        value += '=';
+    }
+    return new Buffer(value, 'base64').toString();
+}
+
+/**
+ * Compare two strings in constant time to avoid leaking secrets through timing
+ * @param  {String} a first value
+ * @param  {String} b second value
+ * @return {Boolean}  true when values are identical
+ */
+function safeCompare(a, b) {
+    var mismatch, i;
+    a = String(a);
+    b = String(b);
+    mismatch = (a.length === b.length) ? 0 : 1;
+    if (mismatch) {
+        // keep comparing against itself so the duration doesn't depend on b
+        b = a;
+    }
+    for (i = 0; i < a.length; i++) {
+        mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return mismatch === 0;
+}
+
+/**
+ * Compute the HMAC SHA256 signature of a token payload
+ * @param  {String} input  encoded header and payload joined by a dot
+ * @param  {String} secret local signing secret
+ * @return {String}        base64url encoded signature
+ */
+function signTokenInput(input, secret) {
+    return base64UrlEncode(crypto.createHmac('sha256', secret).update(input).digest());
+}
+
+/**
+ * Get value from an object by dot notation path eg. field.child
+ * @param  {Object} object object to read from
+ * @param  {String} path   dot notation path
+ * @return {*}             value at path, undefined when missing
+ */
+function getPath(object, path) {
+    if (!_.isObject(object)) {
+        return undefined;
+    }
+    if (_.has(object, path)) {
+        return object[path];
+    }
+    return _.reduce(path.split('.'), function (value, key) {
+        return (_.isObject(value)) ? value[key] : undefined;
+    }, object);
+}
+
+/**
+ * Set value on an object by dot notation path eg. field.child, creating intermediate objects
+ * @param  {Object} object object to write to
+ * @param  {String} path   dot notation path
+ * @param  {*}      value  value to set
+ * @return {Object}        object written to
+ */
+function setPath(object, path, value) {
+    var keys = path.split('.'),
+        last = keys.pop(),
+        target = object;
+
+    if (_.has(object, path)) {
+        object[path] = value;
+        return object;
+    }
+    _.each(keys, function (key) {
+        if (!_.isObject(target[key])) {
+            target[key] = {};
+        }
+        target = target[key];
+    });
+    target[last] = value;
+    return object;
+}
+
+/**
+ * Check if a value is a query operator object eg. { $in: [] } rather than a plain value
+ * @param  {*}  value value to check
+ * @return {Boolean}
+ */
+function isOperatorObject(value) {
+    return _.isObject(value) && _.some(_.keys(value), function (key) {
+        return key.charAt(0) === '$';
+    });
+}
+
+/**
+ * Merge a query with a mandatory scope query fragment
+ * @param  {Object} query client supplied query
+ * @param  {Object} scope scope query fragment, null when unscoped
+ * @return {Object}       scoped query
+ */
+function scopeQuery(query, scope) {
+    if (!scope) {
+        return query || {};
+    }
+    if (_.isEmpty(query)) {
+        return _.extend({}, scope);
+    }
+    return { '$and': [query, scope] };
+}
+
+/**
+ * Inject a mandatory scope as the leading $match of an aggregate pipeline
+ * @param  {Object|Array} pipeline aggregate pipeline or single stage
+ * @param  {Object}       scope    scope query fragment, null when unscoped
+ * @return {Array}                 scoped pipeline
+ */
+function scopePipeline(pipeline, scope) {
+    pipeline = [].concat(pipeline || []);
+    return (scope) ? [{ '$match': scope }].concat(pipeline) : pipeline;
+}
+
+/**
+ * Stamp the plain values of a scope onto a document being created
+ * @param  {Object} document document to be created
+ * @param  {Object} scope    scope query fragment
+ * @return {Object}          document, throws a 403 error when the document is outside of the scope
+ */
+function stampScope(document, scope) {
+    if (!_.isObject(document)) {
+        return document;
+    }
+    _.each(scope, function (value, key) {
+        if (key.charAt(0) === '$' || isOperatorObject(value)) {
+            return;
+        }
+        var current = getPath(document, key);
+        if (!_.isUndefined(current) && String(current) !== String(value)) {
+            throw createError(403, 'Document is outside of your scope');
+        }
+        setPath(document, key, value);
+    });
+    return document;
+}
+
+/**
+ * Check updates don't modify the scoped fields of a document. Any operator targeting a scoped field,
+ * a parent or a child of it, such as $unset or a $rename into or out of it, moves the document out of
+ * scope, only $set and $setOnInsert to the scoped value are allowed
+ * @param  {Object}  updates document updates
+ * @param  {Object}  scope   scope query fragment
+ * @return {Boolean}         true when updates keep the document in scope
+ */
+function isUpdateInScope(updates, scope) {
+    return _.every(updates || {}, function (operands, operator) {
+        if (operator.charAt(0) !== '$') {
+            // plain keys are treated as $set by mongoose
+            operands = _.object([operator], [operands]);
+            operator = '$set';
+        }
+        return _.every((_.isObject(operands)) ? operands : {}, function (value, path) {
+            var targets = (operator === '$rename') ? [path, String(value)] : [path];
+
+            return _.every(_.keys(scope), function (key) {
+                var targeted = _.some(targets, function (target) {
+                    return target === key || key.indexOf(target + '.') === 0 || target.indexOf(key + '.') === 0;
+                });
+                if (!targeted) {
+                    return true;
                 }
+                return (operator === '$set' || operator === '$setOnInsert') &&
+                    String(getPath(_.object([path], [value]), key)) === String(scope[key]);
+            });
+        });
+    });
+}
+
+/**
+ * Recursively delete keys from an object whose dot notation path matches a predicate,
+ * operator keys eg. $set and array indexes don't add to the path
+ * @param  {Object}   object    object to remove keys from
+ * @param  {Function} isOmitted predicate receiving the dot notation path of each key
+ * @param  {String}   [prefix=''] dot notation path of the object
+ * @return {Array}              list of paths removed from the object
+ */
+function omitPaths(object, isOmitted, prefix) {
+    var omitted = [];
+
+    prefix = prefix || '';
+    _.each(_.keys(object), function (key) {
+        var value = object[key],
+            path = prefix;
+
+        if (key.charAt(0) !== '$' && !(_.isArray(object) && /^\d+$/.test(key))) {
+            path = (prefix) ? [prefix, key].join('.') : key;
+            if (isOmitted(path)) {
+                omitted.push(path);
+                delete object[key];
+                return;
             }
+        }
 
-            if (Number(key) === key) {
-                // This comes into play when you are posting a collection of
-                // sub documents
-                params[key] = config.buildQueryFromParams(value, fields, context);
-            } else if ('object' === typeof value) {
-                if (~_.indexOf(config.queryOperatorIgnore, key)) {
-                    // use previous context if key is in query operators array
-                    params[key] = config.buildQueryFromParams(value, fields, context);
-                } else {
-                    params[key] = config.buildQueryFromParams(value, fields, field);
-                }
-            } else if (!~_.indexOf(fields, field) && !~_.indexOf(config.queryOperatorIgnore, key)) {
-                delete params[key];
+        if (_.isArray(value) || (_.isObject(value) && value.constructor === Object)) {
+            omitted = omitted.concat(omitPaths(value, isOmitted, path));
+        }
+    });
+    return omitted;
+}
+
+/**
+ * Collect the field references (eg. '$email') used within an aggregation expression
+ * @param  {*}     expression aggregation pipeline, stage or expression
+ * @param  {Array} [references=[]] collection of references to start with
+ * @return {Array}            list of referenced fields in dot notation
+ */
+function getFieldReferences(expression, references) {
+    references = references || [];
+    if (_.isString(expression) && /^\$[^$]/.test(expression)) {
+        references.push(expression.slice(1));
+    } else if (_.isObject(expression)) {
+        _.each(expression, function (value) {
+            getFieldReferences(value, references);
+        });
+    }
+    return references;
+}
+
+/**
+ * Layer options over a parent config without modifying it. The parent becomes the prototype
+ * of the layered config so per instance defaults sit under per model overrides
+ * @param  {Object} parent    parent config
+ * @param  {Object} [options] overriding options, returned as is when already layered over parent
+ * @return {Object}           layered config
+ */
+function layerConfig(parent, options) {
+    if (options && parent.isPrototypeOf(options)) {
+        return options;
+    }
+    return _.extend(Object.create(parent), options || {});
+}
+
+/**
+ * Escape a key for use as a JSON pointer reference token
+ * @param  {String} key object key or array index
+ * @return {String}     escaped reference token
+ */
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Expand the dot notation paths of a document or update into nested objects, fields of
+ * $set and $setOnInsert are merged in while other operators and positional paths are left out
+ * @param  {Object} document document or update
+ * @return {Object}          expanded copy of document
+ */
+function expandPaths(document) {
+    var expanded = {};
+
+    _.each(document, function (value, path) {
+        if (path === '$set' || path === '$setOnInsert') {
+            _.extend(expanded, expandPaths(value));
+        } else if (!~_.indexOf(path.split('.'), '$') && path.charAt(0) !== '$') {
+            setPath(expanded, path, (_.isObject(value) && !_.isArray(value) && value.constructor === Object) ? expandPaths(value) : value);
+        }
+    });
+    return expanded;
+}
+
+/**
+ * Remove the null members of a JSON Merge Patch value, as they are when merged into a value that isn't an object
+ * @param  {*} value patch value
+ * @return {*}       value without null members
+ */
+function omitNulls(value) {
+    if (!isPlainObject(value) || _.isArray(value)) {
+        return value;
+    }
+    return _.object(_.compact(_.map(value, function (member, key) {
+        return (member === null) ? null : [key, omitNulls(member)];
+    })));
+}
+
+/**
+ * Translate a JSON Merge Patch (RFC 7386) into $set and $unset updates, nested objects are merged
+ * path by path unless the schema holds a path for the object itself eg. a Mixed path
+ * @param  {Object} patch     merge patch
+ * @param  {Object} schema    Mongoose schema of the patched document
+ * @param  {String} [prefix=''] path of the patch in dot notation
+ * @param  {Object} [updates={}] updates to add to
+ * @return {Object}           mongodb updates
+ */
+function mergePatchUpdates(patch, schema, prefix, updates) {
+    updates = updates || {};
+    _.each(patch, function (value, key) {
+        var path = (prefix) ? [prefix, key].join('.') : key;
+
+        if (value === null) {
+            updates.$unset = updates.$unset || {};
+            updates.$unset[path] = 1;
+        } else if (isPlainObject(value) && !_.isArray(value) && !getSchemaType(schema, path)) {
+            mergePatchUpdates(value, schema, path, updates);
+        } else {
+            updates.$set = updates.$set || {};
+            updates.$set[path] = omitNulls(value);
+        }
+    });
+    return updates;
+}
+
+/**
+ * Parse a JSON Pointer (RFC 6901) into its keys
+ * @param  {String} pointer JSON Pointer eg. /name/first
+ * @return {Array}          list of keys, throws a 400 error for invalid pointers
+ */
+function parsePointer(pointer) {
+    if (!_.isString(pointer) || (pointer && pointer.charAt(0) !== '/')) {
+        throw createError(400, 'Invalid JSON Pointer: ' + pointer);
+    }
+    return _.map(pointer.split('/').slice(1), function (key) {
+        return key.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+}
+
+/**
+ * Apply JSON Patch (RFC 6902) operations to a JSON document in place, operations are applied in order
+ * and the patch fails as a whole when any of them fails
+ * @param  {Object} document   JSON document
+ * @param  {Array}  operations JSON Patch operations
+ * @return {Array}             dot notation paths of the values the patch tested, throws a 400 error for
+ *                             invalid operations and paths and a 409 error when a test fails
+ */
+function applyJsonPatch(document, operations) {
+    var tested = [];
+
+    /**
+     * Resolve the container of the value a pointer points to
+     * @param  {String} pointer JSON Pointer
+     * @return {Object}         { parent, key }
+     */
+    function locate(pointer) {
+        var keys = parsePointer(pointer),
+            key = keys.pop(),
+            parent = document;
+
+        if (_.isUndefined(key)) {
+            throw createError(400, 'Unable to patch the whole document at ' + pointer);
+        }
+        _.each(keys, function (key) {
+            if (!_.isObject(parent) || !_.has(parent, key)) {
+                throw createError(400, 'Path not found: ' + pointer);
             }
+            parent = parent[key];
         });
-        return params;
-    },
+        if (!_.isObject(parent)) {
+            throw createError(400, 'Path not found: ' + pointer);
+        }
+        if (_.isArray(parent) && !(/^(0|[1-9]\d*)$/.test(key) || key === '-')) {
+            throw createError(400, 'Invalid array index at ' + pointer);
+        }
+        return { parent: parent, key: key };
+    }
+
     /**
-     * Authenticate user ensuring they are permitted to access API
-     * @param  {Object} req http request object
-     * @param  {Object} res http response object
-     * @param  {Function} next function to move to next route handler
-     * @return {Object}     next or response object
+     * Get the value a pointer points to
+     * @param  {String} pointer JSON Pointer
+     * @return {*}              value, throws a 400 error when there is none
      */
-    authenticateUser: function (req, res, next) {
-        // TODO: Build authentication logic
-        next();
-    },
+    function get(pointer) {
+        var location = locate(pointer);
+        if (!_.has(location.parent, location.key)) {
+            throw createError(400, 'Path not found: ' + pointer);
+        }
+        return location.parent[location.key];
+    }
+
     /**
-     * Validate the document ID as a valid ObjectID
-     * @param  {String}  id string representation of mongodb objectid
-     * @return {Boolean}
+     * Add a value, array elements are inserted and object members set
+     * @param  {String} pointer JSON Pointer, - appends to arrays
+     * @param  {*}      value   value to add
      */
-    isValidId: function (id) {
-        var checkForHexRegExp = new RegExp('^[0-9a-fA-F]{24}$');
-        return checkForHexRegExp.test(id);
-    },
+    function add(pointer, value) {
+        var location = locate(pointer);
+        if (!_.isArray(location.parent)) {
+            location.parent[location.key] = value;
+        } else if (location.key === '-') {
+            location.parent.push(value);
+        } else if (Number(location.key) <= location.parent.length) {
+            location.parent.splice(Number(location.key), 0, value);
+        } else {
+            throw createError(400, 'Array index out of bounds at ' + pointer);
+        }
+    }
+
     /**
-     * Calculate the query offset based on results per page and page Number
-     * @param  {Number} pageNum        Page number
-     * @param  {Number} resultsPerPage Results to display per page
-     * @return {Number}                Document offset for query
+     * Remove the value a pointer points to
+     * @param  {String} pointer JSON Pointer
+     * @return {*}              value removed
      */
-    calculateDocumentOffset: function (pageNum, resultsPerPage) {
-        return (pageNum >= 0) ? ((pageNum - 1) * resultsPerPage) : 0;
-    },
-    crud: function (Model) {
+    function remove(pointer) {
+        var location = locate(pointer),
+            value = get(pointer);
+        if (_.isArray(location.parent)) {
+            location.parent.splice(Number(location.key), 1);
+        } else {
+            delete location.parent[location.key];
+        }
+        return value;
+    }
+
+    if (!_.isArray(operations)) {
+        throw createError(400, 'JSON Patch must be an array of operations');
+    }
+    _.each(operations, function (operation, index) {
+        if (!_.isObject(operation) || (!_.has(operation, 'value') && ~_.indexOf(['add', 'replace', 'test'], operation.op))) {
+            throw createError(400, 'Invalid JSON Patch operation at position ' + index);
+        }
+        switch (operation.op) {
+        case 'add':
+            add(operation.path, operation.value);
+            break;
+        case 'remove':
+            remove(operation.path);
+            break;
+        case 'replace':
+            remove(operation.path);
+            add(operation.path, operation.value);
+            break;
+        case 'move':
+            if (operation.path.indexOf(operation.from + '/') === 0) {
+                throw createError(400, 'Unable to move ' + operation.from + ' into itself');
+            }
+            add(operation.path, remove(operation.from));
+            break;
+        case 'copy':
+            add(operation.path, JSON.parse(JSON.stringify(get(operation.from))));
+            break;
+        case 'test':
+            if (!_.isEqual(get(operation.path), operation.value)) {
+                throw createError(409, 'Test failed at ' + operation.path);
+            }
+            tested.push(parsePointer(operation.path).join('.'));
+            break;
+        default:
+            throw createError(400, 'Unknown JSON Patch operation: ' + operation.op);
+        }
+    });
+    return tested;
+}
+
+/**
+ * Compare two JSON documents into the $set and $unset updates turning one into the other,
+ * nested objects are compared path by path while arrays are set as a whole
+ * @param  {Object} before    document before changes
+ * @param  {Object} after     document after changes
+ * @param  {String} [prefix=''] path of the documents in dot notation
+ * @param  {Object} [updates={}] updates to add to
+ * @return {Object}           mongodb updates, empty when the documents are equal
+ */
+function diffUpdates(before, after, prefix, updates) {
+    updates = updates || {};
+    _.each(_.union(_.keys(before), _.keys(after)), function (key) {
+        var path = (prefix) ? [prefix, key].join('.') : key;
+
+        if (_.isEqual(before[key], after[key])) {
+            return;
+        }
+        if (isPlainObject(before[key]) && isPlainObject(after[key]) && !_.isArray(before[key]) && !_.isArray(after[key])) {
+            diffUpdates(before[key], after[key], path, updates);
+        } else if (_.isUndefined(after[key])) {
+            updates.$unset = updates.$unset || {};
+            updates.$unset[path] = 1;
+        } else {
+            updates.$set = updates.$set || {};
+            updates.$set[path] = after[key];
+        }
+    });
+    return updates;
+}
+
+/**
+ * Build the query conditions matching a value as it is held by a document, objects and arrays are matched
+ * member by member (and by size) since matching them as a whole depends on the order of their keys
+ * @param  {*}      value   value held by the document, undefined when it has none
+ * @param  {String} path    path of the value in dot notation
+ * @param  {Object} [query={}] query to add to
+ * @return {Object}         mongodb query
+ */
+function guardQuery(value, path, query) {
+    query = query || {};
+    if (_.isUndefined(value)) {
+        query[path] = { $exists: false };
+    } else if (_.isArray(value)) {
+        query[path] = { $size: value.length };
+        _.each(value, function (item, index) {
+            guardQuery(item, [path, index].join('.'), query);
+        });
+    } else if (isPlainObject(value) && !_.isEmpty(value)) {
+        _.each(value, function (member, key) {
+            guardQuery(member, [path, key].join('.'), query);
+        });
+    } else {
+        query[path] = value;
+    }
+    return query;
+}
+
+/**
+ * Apply updates to a Mongoose document in memory so saving it runs the validators and middleware of the Model,
+ * plain keys and the $set, $unset, $inc, $push, $addToSet, $pull and $pullAll operators are supported
+ * @param  {Object} document Mongoose document
+ * @param  {Object} updates  mongodb updates
+ * @return {Object}          document, throws a 400 error for other operators and positional paths
+ */
+function applyUpdates(document, updates) {
+    var supported = ['$set', '$unset', '$inc', '$push', '$addToSet', '$pull', '$pullAll'],
+        unsupported = _.reject(_.keys(updates), function (key) {
+            return key.charAt(0) !== '$' || ~_.indexOf(supported, key);
+        });
+
+    if (unsupported.length) {
+        throw createError(400, 'Update operators ' + unsupported.join(', ') + ' can only be used in bulk updates');
+    }
+    _.each(updates, function (value, key) {
+        var operands = (key.charAt(0) === '$') ? value : _.object([key], [value]),
+            operator = (key.charAt(0) === '$') ? key : '$set';
+
+        _.each(operands, function (operand, path) {
+            var current = document.get(path);
+
+            if (~_.indexOf(path.split('.'), '$')) {
+                throw createError(400, 'Positional path ' + path + ' can only be updated in bulk');
+            }
+            if (~_.indexOf(['$push', '$addToSet', '$pull', '$pullAll'], operator) && !_.isArray(current)) {
+                throw createError(400, 'Unable to ' + operator + ' ' + path + ', it isn\'t an array');
+            }
+            switch (operator) {
+            case '$set':
+                document.set(path, operand);
+                break;
+            case '$unset':
+                document.set(path, undefined);
+                break;
+            case '$inc':
+                document.set(path, (Number(current) || 0) + Number(operand));
+                break;
+            case '$push':
+            case '$addToSet':
+                current[(operator === '$push') ? 'push' : 'addToSet'].apply(current, (_.has(operand || {}, '$each')) ? operand.$each : [operand]);
+                break;
+            default:
+                current.pull.apply(current, (operator === '$pullAll') ? operand : [operand]);
+            }
+        });
+    });
+    return document;
+}
+
+/**
+ * Apply a projection to a document in memory, such as a document just updated or removed
+ * @param  {Object} document   Mongoose document or plain object
+ * @param  {Object} projection projection object, inclusive or exclusive
+ * @return {Object}            document as is when the projection is empty, a projected plain object otherwise
+ */
+function projectDocument(document, projection) {
+    var object,
+        projected = {},
+        isInclusion = function (value, field) {
+            return field !== '_id' && Number(value) !== 0;
+        };
+
+    if (!document || _.isEmpty(projection)) {
+        return document;
+    }
+    object = (_.isFunction(document.toJSON)) ? document.toJSON() : _.clone(document);
+    if (!_.some(projection, isInclusion)) {
+        omitPaths(object, function (path) {
+            return _.has(projection, path) && Number(projection[path]) === 0;
+        });
+        return object;
+    }
+    if (!_.has(projection, '_id') || Number(projection._id) !== 0) {
+        projected._id = object._id;
+    }
+    _.each(projection, function (value, field) {
+        if (isInclusion(value, field) && !_.isUndefined(getPath(object, field))) {
+            setPath(projected, field, getPath(object, field));
+        }
+    });
+    return projected;
+}
+
+/**
+ * Keys documents are ordered by for cursor pagination, the sort followed by _id as tie breaker
+ * @param  {Object} sort sort object eg. { 'name.last': -1 }
+ * @return {Array}       list of [field, direction] pairs, direction being 1 or -1
+ */
+function getCursorKeys(sort) {
+    var keys = _.map(sort || {}, function (direction, field) {
+        return [field, (/^(-1|desc|descending)$/i.test(String(direction))) ? -1 : 1];
+    });
+
+    if (!_.find(keys, function (key) { return key[0] === '_id'; })) {
+        keys.push(['_id', (keys.length) ? _.last(keys)[1] : 1]);
+    }
+    return keys;
+}
+
+/**
+ * Encode the sort key values of a document as an opaque cursor
+ * @param  {Array}  keys     cursor keys, see getCursorKeys
+ * @param  {Object} document mongoose document or plain object
+ * @return {String}          cursor
+ */
+function encodeCursor(keys, document) {
+    return base64UrlEncode(JSON.stringify({
+        keys: _.pluck(keys, 0),
+        values: _.map(keys, function (key) {
+            var value = (_.isFunction(document.get)) ? document.get(key[0]) : getPath(document, key[0]);
+
+            if (_.isDate(value)) {
+                return { $date: value.toISOString() };
+            }
+            if (_.isObject(value) && _.isFunction(value.toHexString)) {
+                return { $oid: value.toHexString() };
+            }
+            return (_.isUndefined(value)) ? null : value;
+        })
+    }));
+}
+
+/**
+ * Decode the sort key values held by a cursor, see encodeCursor
+ * @param  {String} cursor cursor
+ * @param  {Array}  keys   cursor keys the cursor must have been encoded with
+ * @return {Array}         sort key values
+ */
+function decodeCursor(cursor, keys) {
+    var decoded;
+
+    try {
+        decoded = JSON.parse(base64UrlDecode(cursor));
+        if (!_.isEqual(decoded.keys, _.pluck(keys, 0))) {
+            throw createError(400, 'Cursor does not match the sort order');
+        }
+        return _.map(decoded.values, function (value) {
+            if (_.isObject(value) && _.isString(value.$date)) {
+                return new Date(value.$date);
+            }
+            if (_.isObject(value) && _.isString(value.$oid)) {
+                return new mongoose.Types.ObjectId(value.$oid);
+            }
+            if (_.isObject(value)) {
+                throw new Error('Unexpected cursor value');
+            }
+            return value;
+        });
+    } catch (error) {
+        throw (error.status) ? error : createError(400, 'Invalid cursor');
+    }
+}
+
+/**
+ * Query fragment matching documents positioned after (or before) the sort key values of a cursor.
+ * MongoDB sorts null and missing values before any other value, which $gt and $lt don't match
+ * @param  {Array}   keys     cursor keys, see getCursorKeys
+ * @param  {Array}   values   sort key values, see decodeCursor
+ * @param  {Boolean} backward true to match documents positioned before the values
+ * @return {Object}           query fragment
+ */
+function keysetQuery(keys, values, backward) {
+    return {
+        $or: _.compact(_.map(keys, function (key, index) {
+            var clause = {},
+                value = values[index],
+                greater = (key[1] > 0) !== backward;
+
+            if (value === null && !greater) {
+                // nothing sorts before null
+                return null;
+            }
+            _.each(keys.slice(0, index), function (previous, position) {
+                clause[previous[0]] = values[position];
+            });
+            if (value === null) {
+                clause[key[0]] = { $ne: null };
+            } else if (greater) {
+                clause[key[0]] = { $gt: value };
+            } else {
+                clause.$or = [_.object([key[0]], [{ $lt: value }]), _.object([key[0]], [null])];
+            }
+            return clause;
+        }))
+    };
+}
+
+/**
+ * Normalize a value for comparison, ObjectIds are compared as strings and dates as times
+ * @param  {*} value value to normalize
+ * @return {*}       normalized value
+ */
+function normalizeValue(value) {
+    if (_.isDate(value)) {
+        return value.getTime();
+    }
+    if (_.isObject(value) && _.isFunction(value.toHexString)) {
+        return value.toHexString();
+    }
+    return value;
+}
+
+/**
+ * Values held by a document at a dot notation path, arrays along the path are traversed
+ * @param  {*}      value document or value
+ * @param  {Array}  keys  remaining path keys
+ * @return {Array}        values found
+ */
+function getPathValues(value, keys) {
+    if (!keys.length) {
+        return [value];
+    }
+    if (_.isArray(value) && !/^\d+$/.test(keys[0])) {
+        return _.flatten(_.map(value, function (item) {
+            return getPathValues(item, keys);
+        }), true);
+    }
+    return (_.isObject(value)) ? getPathValues(value[keys[0]], keys.slice(1)) : [undefined];
+}
+
+/**
+ * Check if any of the values (or elements of array values) equal an expected value
+ * @param  {Array} values   values found at a path
+ * @param  {*}     expected expected value
+ * @return {Boolean}
+ */
+function matchesValue(values, expected) {
+    expected = normalizeValue(expected);
+    return _.some(values, function (value) {
+        return _.isEqual(normalizeValue(value), expected) || (_.isArray(value) && _.some(value, function (item) {
+            return _.isEqual(normalizeValue(item), expected);
+        }));
+    });
+}
+
+/**
+ * Check if any of the values (or elements of array values) compare to an expected value
+ * @param  {Array}    values   values found at a path
+ * @param  {*}        expected expected value
+ * @param  {Function} compare  function (value, expected) returning a Boolean
+ * @return {Boolean}
+ */
+function comparesValue(values, expected, compare) {
+    expected = normalizeValue(expected);
+    return _.some(_.flatten(values, true), function (value) {
+        value = normalizeValue(value);
+        return !_.isUndefined(value) && value !== null && typeof value === typeof expected && compare(value, expected);
+    });
+}
+
+/**
+ * Check if a plain document matches a query the way MongoDB would, operators
+ * that can't be evaluated in memory (eg. $where and geo operators) never match
+ * @param  {Object} document plain document
+ * @param  {Object} query    query cast against the Model schema
+ * @return {Boolean}
+ */
+function matchQuery(document, query) {
+    /**
+     * Check if values found at a path satisfy a query condition, a plain value or an operator object
+     * @param  {Array} values    values found at a path
+     * @param  {*}     condition query condition
+     * @return {Boolean}
+     */
+    function matchCondition(values, condition) {
+        if (_.isRegExp(condition)) {
+            return comparesValue(values, '', function (value) {
+                return condition.test(value);
+            });
+        }
+        if (!isOperatorObject(condition)) {
+            return matchesValue(values, condition);
+        }
+        return _.every(condition, function (expected, operator) {
+            switch (operator) {
+            case '$eq':
+                return matchesValue(values, expected);
+            case '$ne':
+                return !matchesValue(values, expected);
+            case '$gt':
+                return comparesValue(values, expected, function (a, b) { return a > b; });
+            case '$gte':
+                return comparesValue(values, expected, function (a, b) { return a >= b; });
+            case '$lt':
+                return comparesValue(values, expected, function (a, b) { return a < b; });
+            case '$lte':
+                return comparesValue(values, expected, function (a, b) { return a <= b; });
+            case '$in':
+                return _.some(expected, function (item) {
+                    return matchCondition(values, item);
+                });
+            case '$nin':
+                return !_.some(expected, function (item) {
+                    return matchCondition(values, item);
+                });
+            case '$all':
+                return _.every(expected, function (item) {
+                    return matchesValue(values, item);
+                });
+            case '$exists':
+                return (_.some(values, function (value) {
+                    return !_.isUndefined(value);
+                })) ? !!expected : !expected;
+            case '$regex':
+                return matchCondition(values, (_.isRegExp(expected)) ? expected : new RegExp(expected, condition.$options || ''));
+            case '$options':
+                return true;
+            case '$not':
+                return !matchCondition(values, expected);
+            case '$size':
+                return _.some(values, function (value) {
+                    return _.isArray(value) && value.length === expected;
+                });
+            case '$elemMatch':
+                return _.some(values, function (value) {
+                    return _.isArray(value) && _.some(value, function (item) {
+                        return (isOperatorObject(expected)) ? matchCondition([item], expected) : matchQuery(item, expected);
+                    });
+                });
+            default:
+                // operators that can't be evaluated in memory never match
+                return false;
+            }
+        });
+    }
+
+    return _.every(query, function (condition, key) {
+        switch (key) {
+        case '$and':
+            return _.every(condition, function (query) {
+                return matchQuery(document, query);
+            });
+        case '$or':
+            return _.some(condition, function (query) {
+                return matchQuery(document, query);
+            });
+        case '$nor':
+            return !_.some(condition, function (query) {
+                return matchQuery(document, query);
+            });
+        default:
+            return (key.charAt(0) === '$') ? false : matchCondition(getPathValues(document, key.split('.')), condition);
+        }
+    });
+}
+
+/**
+ * Copy of a JSON Schema definition without required properties, used to describe partial updates
+ * @param  {Object} definition JSON Schema definition
+ * @return {Object}            JSON Schema definition with no required properties
+ */
+function omitRequired(definition) {
+    var partial = _.omit(definition, 'required');
+
+    if (partial.properties) {
+        partial.properties = _.object(_.keys(partial.properties), _.map(partial.properties, omitRequired));
+    }
+    if (partial.items) {
+        partial.items = omitRequired(partial.items);
+    }
+    return partial;
+}
+
+exports.createError = createError;
+
+/**
+ * Change feed of documents created, updated and removed through any CRUD wrapper. A change
+ * event receives { type: created|updated|removed, Model, document, previous, context }
+ * where previous holds the document before an update and context the calling context.
+ * @type {Object}
+ */
+exports.changes = new EventEmitter();
+exports.changes.setMaxListeners(0);
+
+/**
+ * Sign a bearer token (HS256 JSON Web Token) for use with the bearer authentication strategy
+ * @param  {Object} payload           claims to include in the token
+ * @param  {String} secret            local signing secret
+ * @param  {Number} [expiresIn]       seconds until the token expires
+ * @return {String}                   signed token
+ */
+exports.signToken = function (payload, secret, expiresIn) {
+    var claims = _.extend({}, payload),
+        input;
+
+    claims.iat = Math.floor(Date.now() / 1000);
+    if (expiresIn) {
+        claims.exp = claims.iat + expiresIn;
+    }
+
+    input = [
+        base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })),
+        base64UrlEncode(JSON.stringify(claims))
+    ].join('.');
+    return input + '.' + signTokenInput(input, secret);
+};
+
+/**
+ * Authentication strategies that can be supplied to config.authStrategies.
+ * Each factory returns a function receiving the request credentials ({ headers, query })
+ * and returning a principal (or Q promise of one), null when the strategy does not apply
+ * or a rejected promise when the credentials supplied are invalid. The securityScheme
+ * property of a strategy, an OpenAPI Security Scheme Object, describes where it reads credentials from
+ * and is listed among the security schemes of the OpenAPI specification.
+ * @type {Object}
+ */
+exports.strategies = {
+    /**
+     * API key supplied in a request header or query parameter
+     * @param  {Object} options             strategy options
+     * @param  {Object|Function} options.keys map of API keys to principals or function resolving a key to a principal
+     * @param  {String} [options.header='x-api-key'] header holding the API key
+     * @param  {String} [options.query='apiKey']     query parameter holding the API key, used by web sockets
+     * @return {Function}                   authentication strategy
+     */
+    apiKey: function (options) {
+        options = _.extend({
+            keys: {},
+            header: 'x-api-key',
+            query: 'apiKey'
+        }, options || {});
+
+        return _.extend(function apiKeyStrategy(credentials) {
+            var key = credentials.headers[options.header.toLowerCase()] || credentials.query[options.query],
+                principal = null;
+
+            if (!key) {
+                return null;
+            }
+
+            if (_.isFunction(options.keys)) {
+                principal = options.keys(key);
+            } else {
+                _.each(options.keys, function (value, candidate) {
+                    if (safeCompare(candidate, key)) {
+                        principal = value;
+                    }
+                });
+            }
+
+            return Q.when(principal, function (principal) {
+                if (!principal) {
+                    throw createError(401, 'Invalid API key');
+                }
+                return principal;
+            });
+        }, {
+            securityScheme: { type: 'apiKey', in: 'header', name: options.header }
+        });
+    },
+    /**
+     * HTTP Basic authentication checked against a user model
+     * @param  {Object} options                strategy options
+     * @param  {Object} options.Model          mongoose Model holding the users
+     * @param  {Function} options.verifyPassword function (user, password) returning a Boolean or Q promise of one
+     * @param  {String} [options.usernameField='username'] user model field matched against the username
+     * @return {Function}                      authentication strategy
+     */
+    basic: function (options) {
+        options = _.extend({
+            usernameField: 'username'
+        }, options || {});
+
+        return _.extend(function basicStrategy(credentials) {
+            var header = credentials.headers.authorization || '',
+                match = /^Basic\s+(\S+)$/i.exec(header),
+                deferred = Q.defer(),
+                query = {},
+                decoded,
+                separator;
+
+            if (!match) {
+                return null;
+            }
+
+            decoded = new Buffer(match[1], 'base64').toString();
+            separator = decoded.indexOf(':');
+            if (!~separator) {
+                return Q.reject(createError(401, 'Malformed basic authorization header'));
+            }
+
+            query[options.usernameField] = decoded.slice(0, separator);
+            options.Model.findOne(query, function (error, user) {
+                if (error) {
+                    return deferred.reject(error);
+                }
+                if (!user) {
+                    return deferred.reject(createError(401, 'Invalid username or password'));
+                }
+                Q.when(options.verifyPassword(user, decoded.slice(separator + 1)), function (valid) {
+                    if (valid) {
+                        deferred.resolve(user);
+                    } else {
+                        deferred.reject(createError(401, 'Invalid username or password'));
+                    }
+                }, deferred.reject);
+            });
+            return deferred.promise;
+        }, {
+            securityScheme: { type: 'http', scheme: 'basic' }
+        });
+    },
+    /**
+     * Bearer token signed with a local secret, see exports.signToken
+     * @param  {Object} options               strategy options
+     * @param  {String} options.secret        local signing secret
+     * @param  {String} [options.query='accessToken'] query parameter holding the token, used by web sockets
+     * @return {Function}                     authentication strategy
+     */
+    bearer: function (options) {
+        options = _.extend({
+            query: 'accessToken'
+        }, options || {});
+
+        return _.extend(function bearerStrategy(credentials) {
+            var header = credentials.headers.authorization || '',
+                match = /^Bearer\s+(\S+)$/i.exec(header),
+                token = (match) ? match[1] : credentials.query[options.query],
+                parts,
+                claims;
+
+            if (!token) {
+                return null;
+            }
+
+            parts = String(token).split('.');
+            if (parts.length !== 3 || !safeCompare(signTokenInput(parts[0] + '.' + parts[1], options.secret), parts[2])) {
+                return Q.reject(createError(401, 'Invalid bearer token'));
+            }
+
+            try {
+                if (JSON.parse(base64UrlDecode(parts[0])).alg !== 'HS256') {
+                    throw new Error('Unsupported algorithm');
+                }
+                claims = JSON.parse(base64UrlDecode(parts[1]));
+            } catch (error) {
+                return Q.reject(createError(401, 'Invalid bearer token'));
+            }
+
+            if (claims.exp && claims.exp <= Math.floor(Date.now() / 1000)) {
+                return Q.reject(createError(401, 'Bearer token has expired'));
+            }
+            return claims;
+        }, {
+            securityScheme: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        });
+    }
+};
+
+/**
+ * Default config used throughout the API instantiation and usage
+ * @type {Object}
+ */
+exports.config = {
+    /**
+     * relative URL base for your REST services a value of /api/ will give you URLs that start with  mysite.com/api/
+     * @type {String}
+     */
+    baseURL: '/api/',
+    /**
+     * name of the resource used in route paths, socket events and authorization policies,
+     * a per model option defaulting to the collection name of the Model
+     * @type {String}
+     */
+    name: null,
+    /**
+     * resources of the API instance keyed by name, set by exports.create, expanded references
+     * follow the configuration of their resource (see crud.populate)
+     * @type {Object}
+     */
+    resources: null,
+    /**
+     * URL relative to baseURL the OpenAPI specification of an API instance is served at, false to not serve it
+     * @type {String}
+     */
+    openApiURL: 'openapi.json',
+    /**
+     * info object of the OpenAPI specification
+     * @type {Object}
+     */
+    openApiInfo: {
+        title: 'Mongoose EdgeAPI',
+        version: '1.0.0'
+    },
+    /**
+     * default offset (aka, skip) value to be supplied in queries fetching collection documents
+     * @type {Number}
+     */
+    queryOffset: 0,
+    /**
+     * default limit value to be supplied in queries fetching collection documents
+     * @type {Number}
+     */
+    queryLimit: 0,
+    /**
+     * default pagination mode of collection queries, page (page and limit parameters) or cursor
+     * (after and before parameters). Supplying after or before switches a query to cursor mode
+     * @type {String}
+     */
+    queryPagination: 'page',
+    /**
+     * count the documents matching collection queries for the results meta data,
+     * disable for large collections or per query with the count=false parameter
+     * @type {Boolean}
+     */
+    queryCount: true,
+    /**
+     * aggregation pipeline stages clients may use, null for any stage that isn't forbidden
+     * example usage: ['$match', '$group', '$sort', '$limit']
+     * @type {Array}
+     */
+    aggregateStages: null,
+    /**
+     * operators clients may use within aggregation pipeline stages (expression and query operators), null for any
+     * @type {Array}
+     */
+    aggregateOperators: null,
+    /**
+     * aggregation pipeline stages that are never allowed, those writing to or reading from other collections by default
+     * @type {Array}
+     */
+    aggregateForbiddenStages: ['$out', '$merge', '$lookup', '$graphLookup', '$unionWith'],
+    /**
+     * maximum number of stages in an aggregation pipeline, 0 for no maximum
+     * @type {Number}
+     */
+    aggregateMaxStages: 0,
+    /**
+     * $limit forced at the end of aggregation pipelines not already ending with a lower one, 0 for no limit
+     * @type {Number}
+     */
+    aggregateLimit: 0,
+    /**
+     * time budget of aggregations in milliseconds enforced by the server (maxTimeMS), 0 for no budget
+     * @type {Number}
+     */
+    aggregateMaxTimeMS: 0,
+    /**
+     * default value for query sorting
+     * @type {Object}
+     */
+    querySort: {},
+    /**
+     * collection of fields to ignore when schema is being processed by getSchemaFields
+     * @type {Array}
+     */
+    schemaFieldIgnore: ['__v'],
+    /**
+     * collection of JSON keys to ignore (aka, not discard) when processing the parameters in buildQueryFromParams
+     * @type {Array}
+     */
+    queryOperatorIgnore: [
+        // http://docs.mongodb.org/manual/reference/operator/
+        //
+        // Query and update operators
+        //
+        '$addToSet', '$all', '$and', '$bit', '$box', '$center', '$centerSphere',
+        '$comment', '$each', '$elemMatch (query)', '$exists', '$explain', '$geoIntersects',
+        '$geoWithin', '$geometry', '$gt', '$gte', '$hint', '$in', '$inc', '$isolated', '$lt',
+        '$lte', '$max', '$maxDistance', '$maxScan', '$min', '$mod', '$natural', '$ne', '$near',
+        '$nearSphere', '$nin', '$nor', '$not', '$or', '$orderby', '$polygon', '$pop',
+        '$pull', '$pullAll', '$push', '$pushAll', '$query', '$regex', '$rename',
+        '$returnKey', '$set', '$setOnInsert', '$showDiskLoc', '$size', '$slice', '$snapshot',
+        '$sort', '$type', '$uniqueDocs', '$unset', '$where', // '$' handled differently
+        //
+        // Projection operators:
+        //
+        '$elemMatch', '$slice', // '$' handled differently
+        //
+        // Aggregation operators:
+        //
+        '$add', '$addToSet', '$and', '$avg', '$cmp', '$concat', '$cond', '$dayOfMonth',
+        '$dayOfWeek', '$dayOfYear', '$divide', '$eq', '$first', '$geoNear', '$group', '$gt',
+        '$gte', '$hour', '$ifNull', '$last', '$limit', '$lt', '$lte', '$match', '$max',
+        '$millisecond', '$min', '$minute', '$mod', '$month', '$multiply', '$ne', '$not',
+        '$or', '$project', '$push', '$second', '$skip', '$sort', '$strcasecmp', '$substr',
+        '$subtract', '$sum', '$toLower', '$toUpper', '$unwind', '$week', '$year',
+    ],
+    /**
+     * Collection of proprietary field modifiers that can be used in query param keys
+     * example usage: somefield.contains=Some Value
+     * @type {Array}
+     */
+    fieldModifiers: [
+        'contains', 'icontains', 'startswith', 'endswith', 'regex',
+        'gt', 'gte', 'lt', 'lte', 'ne', 'between', 'in', 'nin', 'exists'
+    ],
+    /**
+     * reject queries breaking the query policy below with a 400 rather than sending them to mongodb,
+     * $where (server side JavaScript) is always rejected, strict or not
+     * @type {Boolean}
+     */
+    queryStrict: false,
+    /**
+     * query operators clients may use in strict mode, null for any but $where
+     * @type {Array}
+     */
+    queryOperators: [
+        '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$all', '$size', '$exists',
+        '$type', '$elemMatch', '$regex', '$options', '$and', '$or', '$nor', '$not', '$text', '$search'
+    ],
+    /**
+     * maximum length of regular expression patterns in strict mode, 0 for no maximum
+     * @type {Number}
+     */
+    queryMaxRegexLength: 100,
+    /**
+     * require regular expressions to be anchored to the start of values (^) in strict mode
+     * @type {Boolean}
+     */
+    queryRegexAnchored: false,
+    /**
+     * maximum nesting depth of query objects in strict mode, 0 for no maximum
+     * @type {Number}
+     */
+    queryMaxDepth: 5,
+    /**
+     * maximum number of values of $in and $nin in strict mode, 0 for no maximum
+     * @type {Number}
+     */
+    queryMaxIn: 100,
+    /**
+     * fields searched with case insensitive regular expressions when the Model has no text index,
+     * null for every String field the caller may query
+     * @type {Array}
+     */
+    searchFields: null,
+    /**
+     * search text indexes with $text, scoring documents by relevance. $text and textScore need
+     * MongoDB 2.6 and Mongoose 3.8 or later, on by default with Mongoose 3.8 or later
+     * @type {Boolean}
+     */
+    searchTextIndex: (function (version) {
+        return version[0] > 3 || (version[0] === 3 && version[1] >= 8);
+    }(_.map(String(mongoose.version).split('.'), Number))),
+    /**
+     * Field level permissions keyed by field in dot notation, rules apply to nested fields as well.
+     * Each rule holds readable, writable, queryable and sortable permissions which are true,
+     * false, 'authenticated', an Array of permitted roles or a function (principal, field, permission)
+     * returning a Boolean. queryable and sortable default to the readable permission, a rule
+     * that isn't an object applies to both reading and writing.
+     * example usage: { passwordHash: false, role: { readable: true, writable: ['admin'] } }
+     * @type {Object}
+     */
+    fieldRules: {},
+    /**
+     * respond with an error when documents being created or updated include fields that aren't writable,
+     * otherwise those fields are silently discarded
+     * @type {Boolean}
+     */
+    rejectUnwritableFields: false,
+    /**
+     * validate documents being created or updated against the JSON Schema of the Model (see buildJsonSchema)
+     * before they reach mongoose, responding with every violation keyed by JSON pointer
+     * @type {Boolean}
+     */
+    validateRequests: false,
+    /**
+     * publish documents created, updated and removed to the change feed (see exports.changes) while it has listeners,
+     * updates and removals then fetch the affected documents before they are changed
+     * @type {Boolean}
+     */
+    publishChanges: true,
+    /**
+     * Authentication strategies tried in order until one returns a principal, see exports.strategies
+     * example usage: [edgeapi.strategies.bearer({ secret: 'shhh' })]
+     * @type {Array}
+     */
+    authStrategies: [],
+    /**
+     * Authorization policies keyed by collection name and then by operation
+     * (create, read, update, delete and aggregate), the '*' key holds the defaults.
+     * A policy is true (anyone), false (no one), 'authenticated' (any principal),
+     * an Array of permitted roles or a function (principal, operation, collection)
+     * returning a Boolean or Q promise of one.
+     * example usage: { samples: { read: true, delete: ['admin'] } }
+     * @type {Object}
+     */
+    authPolicies: {
+        '*': {
+            create: true,
+            read: true,
+            update: true,
+            delete: true,
+            aggregate: true
+        }
+    },
+    /**
+     * Process proprietary modifier value and return appropriate mongodb syntax
+     * @param  {String} modifier modifier type
+     * @param  {Sring|Object} value    value of query field
+     * @param  {Object} [schemaType] Mongoose schema type of the field, values are coerced to its type
+     * @param  {String} [field]      field in dot notation
+     * @return {String|Object}          mongodb appropriate value
+     */
+    processModifier: function (modifier, value, schemaType, field) {
+        var config = this,
+            modiferValue = value,
+            flags = '';
+
+        /**
+         * Coerce a value to the type of the field
+         * @param  {*} value value
+         * @return {*}       coerced value
+         */
+        function coerce(value) {
+            return config.coerceValue(value, schemaType, field);
+        }
+
+        /**
+         * Split a comma separated list of values, arrays are left as is
+         * @param  {String|Array} value list of values
+         * @return {Array}              values
+         */
+        function split(value) {
+            return (_.isArray(value)) ? value : String(value).split(',');
+        }
+
+        switch (modifier) {
+        case 'contains':
+            modiferValue = { '$regex' : new RegExp(escapeRegExp(value)) };
+            break;
+        case 'icontains':
+            modiferValue = { '$regex' : new RegExp(escapeRegExp(value), 'i') };
+            break;
+        case 'startswith':
+            modiferValue = { '$regex' : new RegExp('^' + escapeRegExp(value)) };
+            break;
+        case 'endswith':
+            modiferValue = { '$regex' : new RegExp(escapeRegExp(value) + '$') };
+            break;
+        case 'regex':
+            if (value.indexOf('/') === 0) {
+                // expecting regex to be in format of /regex/flags
+                value = value.split('/');
+                flags = value[2] || flags;
+                value = value[1];
+            }
+
+            try {
+                modiferValue = { '$regex' : new RegExp(value, flags) };
+            } catch (error) {
+                throw createError(400, 'Invalid regular expression: ' + error.message);
+            }
+            break;
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte':
+        case 'ne':
+            modiferValue = {};
+            modiferValue['$' + modifier] = coerce(value);
+            break;
+        case 'between':
+            value = split(value);
+            if (value.length !== 2) {
+                throw createError(400, 'Modifier between on ' + field + ' expects two comma separated values');
+            }
+            modiferValue = { '$gte': coerce(value[0]), '$lte': coerce(value[1]) };
+            break;
+        case 'in':
+        case 'nin':
+            modiferValue = {};
+            modiferValue['$' + modifier] = _.map(split(value), coerce);
+            break;
+        case 'exists':
+            modiferValue = { '$exists': config.coerceValue(value, { instance: 'Boolean' }, field) };
+            break;
+        }
+        return modiferValue;
+    },
+    /**
+     * Coerce a string value to the type of a schema path, relative dates such as now-7d are
+     * accepted for dates. Values that aren't strings and fields of other types are left as is
+     * @param  {*}      value      value to coerce
+     * @param  {Object} schemaType Mongoose schema type, arrays are coerced to the type of their values
+     * @param  {String} [field]    field in dot notation, named in errors
+     * @return {*}                 coerced value, throws a 400 error when the value can't be coerced
+     */
+    coerceValue: function (value, schemaType, field) {
+        var config = this,
+            instance,
+            coerced;
+
+        if (!schemaType || !_.isString(value)) {
+            return value;
+        }
+        if (schemaType.caster) {
+            return config.coerceValue(value, schemaType.caster, field);
+        }
+
+        instance = String(schemaType.instance || schemaType.constructor.name).replace(/^Schema/, '');
+        switch (instance) {
+        case 'Number':
+            coerced = (/\S/.test(value)) ? Number(value) : NaN;
+            if (isNaN(coerced)) {
+                throw createError(400, 'Value of ' + field + ' is not a number: ' + value);
+            }
+            return coerced;
+        case 'Date':
+            coerced = parseRelativeDate(value) || new Date((/^-?\d+$/.test(value)) ? Number(value) : value);
+            if (isNaN(coerced.getTime())) {
+                throw createError(400, 'Value of ' + field + ' is not a date: ' + value);
+            }
+            return coerced;
+        case 'Boolean':
+            if (~_.indexOf(['true', '1', 'yes'], value.toLowerCase())) {
+                return true;
+            }
+            if (~_.indexOf(['false', '0', 'no'], value.toLowerCase())) {
+                return false;
+            }
+            throw createError(400, 'Value of ' + field + ' is not a boolean: ' + value);
+        case 'ObjectID':
+        case 'ObjectId':
+            if (!/^[0-9a-fA-F]{24}$/.test(value)) {
+                throw createError(400, 'Value of ' + field + ' is not an ObjectId: ' + value);
+            }
+            return new mongoose.Types.ObjectId(value);
+        }
+        return value;
+    },
+    /**
+     * Serve JSON response to browser, cross origin requests may send the headers of the authentication strategies
+     * @param  {Object} res         node http response object
+     * @param  {Number} code        header response code
+     * @param  {Object} object      JSON data to be sent in response
+     * @param  {Array}  [hidden=[]] list of fields hidden from the client, removed from the documents, see config.hideFields
+     * @return {Object}             JSON data sent in response
+     */
+    serveJson: function (res, code, object, hidden) {
+        var config = this;
+        // http://en.wikipedia.org/wiki/Cross-origin_resource_sharing
+        res.set({
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': ['X-Requested-With'].concat(config.getAuthHeaders()).join(', ')
+        });
+        object = config.hideFields(object, hidden);
+        res.json(code, object);
+        return object;
+    },
+    /**
+     * Remove hidden fields from the documents of a response
+     * @param  {Object} object response data, either a document or an object with document/documents keys
+     * @param  {Array}  [hidden=[]] list of hidden fields in dot notation
+     * @return {Object}        response data safe to send to the client
+     */
+    hideFields: function (object, hidden) {
+        if (_.isEmpty(hidden) || !_.isObject(object)) {
+            return object;
+        }
+
+        // serialize mongoose documents the same way res.json would
+        object = JSON.parse(JSON.stringify(object));
+
+        var isHidden = function (path) {
+            return _.some(hidden, function (field) {
+                return path === field || path.indexOf(field + '.') === 0;
+            });
+        };
+
+        if (_.has(object, 'documents') || _.has(object, 'document')) {
+            omitPaths(object.documents || [], isHidden);
+            omitPaths(_.isObject(object.document) ? object.document : {}, isHidden);
+        } else {
+            omitPaths(object, isHidden);
+        }
+        return object;
+    },
+    /**
+     * Classify an error into the HTTP status code and response body it should be served with.
+     * Mongoose validation errors map to 422 with a per field error map, cast errors to 400,
+     * duplicate key errors to 409 and errors created with a status (see exports.createError) keep it,
+     * anything else is a 500 logged with a correlation id returned to the client.
+     * @param  {Object} [error={}] error object
+     * @return {Object}            { status: Number, body: Object }
+     */
+    classifyError: function (error) {
+        var config = this,
+            correlationId;
+
+        error = error || {};
+
+        if (error.name === 'ValidationError') {
+            return {
+                status: 422,
+                body: {
+                    message: error.message || 'Validation failed',
+                    errors: _.object(_.map(error.errors || {}, function (fieldError, path) {
+                        return [fieldError.path || path, {
+                            path: fieldError.path || path,
+                            kind: fieldError.kind || fieldError.type,
+                            message: fieldError.message,
+                            value: fieldError.value
+                        }];
+                    }))
+                }
+            };
+        }
+
+        if (error.name === 'CastError') {
+            return {
+                status: 400,
+                body: {
+                    message: 'Invalid value for ' + error.path,
+                    path: error.path,
+                    kind: error.kind || error.type,
+                    value: error.value
+                }
+            };
+        }
+
+        if (error.code === 50) {
+            return {
+                status: 503,
+                body: {
+                    message: 'Operation exceeded its time limit'
+                }
+            };
+        }
+
+        if (error.code === 11000 || error.code === 11001) {
+            return {
+                status: 409,
+                body: {
+                    message: 'Duplicate key',
+                    index: (/index:\s+(?:\S+\.\$)?(\S+)/.exec(error.message || error.err || '') || [])[1]
+                }
+            };
+        }
+
+        if (error.status && error.status < 500) {
+            return {
+                status: error.status,
+                body: (error.errors) ? {
+                    message: error.message || 'Unknown error.',
+                    errors: error.errors
+                } : {
+                    message: error.message || 'Unknown error.'
+                }
+            };
+        }
+
+        correlationId = crypto.randomBytes(8).toString('hex');
+        config.logError(error, correlationId);
+        return {
+            status: error.status || 500,
+            body: {
+                message: 'Internal server error',
+                correlationId: correlationId
+            }
+        };
+    },
+    /**
+     * Logger unexpected errors are reported to through its error method and the routes served by an API instance
+     * through its log method, eg. console. Nothing is logged when null
+     * @type {Object}
+     */
+    logger: null,
+    /**
+     * Pass a message on to the method of config.logger matching its level, nothing is logged without a logger
+     * @param  {String} level logger method, log or error
+     * @return {undefined}
+     */
+    log: function (level) {
+        var config = this;
+        if (config.logger && _.isFunction(config.logger[level])) {
+            config.logger[level].apply(config.logger, _.rest(arguments));
+        }
+    },
+    /**
+     * Log an unexpected error through config.logger, the correlation id is also returned to the client
+     * @param  {Object} error         error object
+     * @param  {String} correlationId id correlating the log entry with the response
+     * @return {Object}               error object
+     */
+    logError: function (error, correlationId) {
+        var config = this;
+        config.log('error', '[' + correlationId + ']', (error && error.stack) || error);
+        return error;
+    },
+    /**
+     * Serialize an error for socket.io error events
+     * @param  {Object} [error={}] error object
+     * @return {Object}            classified response body including the status code
+     */
+    serializeError: function (error) {
+        var config = this,
+            classified = config.classifyError(error);
+        return _.extend({ status: classified.status }, classified.body);
+    },
+    /**
+     * Server JSON response error to browser
+     * @param  {Object} res   node http response object
+     * @param  {Object} [error={}] error object containing message to be sent in response
+     * @return {objebt}       error object
+     */
+    serveError: function (res, error) {
+        var config = this,
+            classified = config.classifyError(error);
+        config.serveJson(res, classified.status, classified.body);
+        return error || {};
+    },
+    /**
+     * Recursive function to get a list of fields from the mongoose schema.
+     * Nested fields will be represented in dot notation eg. field.child
+     * @param  {Object} schema  mongoose schema
+     * @param  {Array} [fields=[]]  collection of fields to start with
+     * @param  {String} [context=''] context of current schema keys in dot notation
+     * @return {Array}         list of fields from mongoose schema excluding ignored fields
+     */
+    getSchemaFields: function (schema, fields, context) {
+        var config = this,
+            paths = schema.paths,
+            field;
+
+        fields = fields || [];
+        context = context || '';
+
+        _.each(paths, function (value, key) {
+            if (!~config.schemaFieldIgnore.indexOf(key)) {
+                field = (context) ? [context, key].join('.') : key;
+                if (value.caster) {
+                    // for Array values or Sub Documents
+                    fields.push(field + '.$');
+                }
+
+                if (value.schema) {
+                    config.getSchemaFields(value.schema, fields, field);
+                    // for Sub Documents
+                    config.getSchemaFields(value.schema, fields, field + '.$');
+                }
+                return fields.push(field);
+            }
+        });
+        return fields;
+    },
+    /**
+     * Get a list of fields from the mongoose schema virtual fields
+     * @param  {Object} schema mongoose schema
+     * @param  {Array} [fields=[]] collection of fields to start with
+     * @return {Array}        list of fields from mongoose schema virtual fields excluding ignored fields
+     */
+    getVirtualFields: function (schema, fields) {
+        var config = this,
+            virtuals = schema.virtuals;
+
+        fields = fields || [];
+        _.each(virtuals, function (value, key) {
+            if (!~config.schemaFieldIgnore.indexOf(key)) {
+                return fields.push(key);
+            }
+        });
+        return fields;
+    },
+    /**
+     * Get the paths of the sub document arrays of a mongoose schema, those getSchemaFields marks with .$
+     * which have a schema of their own. Sub document arrays within sub documents aren't included
+     * @param  {Object} schema mongoose schema
+     * @return {Array}         list of sub document array paths in dot notation
+     */
+    getSubdocumentPaths: function (schema) {
+        var config = this;
+        return _.filter(_.map(config.getSchemaFields(schema), function (field) {
+            return (/^[^$]+\.\$$/.test(field)) ? field.slice(0, -2) : null;
+        }), function (path) {
+            return path && !!schema.path(path) && !!schema.path(path).schema;
+        });
+    },
+    /**
+     * Get the relationships of a Model, the paths of the resources of the API instance (see config.resources)
+     * referencing it. Relationships are named after the referencing resource, followed by the path when the
+     * resource references the Model through several paths eg. books or books.editor
+     * @param  {Object} Model mongoose Model referenced
+     * @return {Array}        list of { name, resource, path, many } where many is true for arrays of references
+     */
+    getRelationships: function (Model) {
+        var config = this,
+            relationships = [];
+
+        _.each(config.resources || {}, function (resource) {
+            var paths = _.filter(_.keys(resource.Model.schema.paths), function (path) {
+                    return !~resource.config.schemaFieldIgnore.indexOf(path) &&
+                        getReference(resource.Model.schema.path(path)) === Model.modelName;
+                });
+
+            _.each(paths, function (path) {
+                relationships.push({
+                    name: (paths.length > 1) ? [resource.name, path].join('.') : resource.name,
+                    resource: resource,
+                    path: path,
+                    many: !!resource.Model.schema.path(path).caster
+                });
+            });
+        });
+        return relationships;
+    },
+    /**
+     * Recursive function converting a mongoose schema into a JSON Schema object definition.
+     * Nested paths become nested objects and arrays of sub documents become arrays of objects
+     * @param  {Object} schema       mongoose schema
+     * @param  {String} [permission] field permission (readable or writable) fields must hold to be included
+     * @param  {Object} [principal]  authenticated principal the permission is checked for
+     * @param  {String} [context=''] context of current schema keys in dot notation
+     * @return {Object}              JSON Schema object definition
+     */
+    buildJsonSchema: function (schema, permission, principal, context) {
+        var config = this,
+            definition = {
+                type: 'object',
+                properties: {}
+            };
+
+        context = context || '';
+        _.each(schema.paths, function (schemaType, key) {
+            var field = (context) ? [context, key].join('.') : key,
+                keys = key.split('.'),
+                name = keys.pop(),
+                target = definition;
+
+            if (~config.schemaFieldIgnore.indexOf(key) || (permission && !config.isFieldPermitted(field, permission, principal))) {
+                return;
+            }
+
+            _.each(keys, function (key) {
+                target.properties[key] = target.properties[key] || {
+                    type: 'object',
+                    properties: {}
+                };
+                target = target.properties[key];
+            });
+
+            target.properties[name] = config.getJsonSchemaType(schemaType, permission, principal, field);
+            if (schemaType.isRequired || (schemaType.options || {}).required) {
+                target.required = _.union(target.required || [], [name]);
+            }
+        });
+        return definition;
+    },
+    /**
+     * Convert a mongoose schema type into a JSON Schema definition including enums,
+     * min/max, length and match validators and defaults
+     * @param  {Object} schemaType   mongoose schema type
+     * @param  {String} [permission] field permission passed on to sub document schemas
+     * @param  {Object} [principal]  authenticated principal passed on to sub document schemas
+     * @param  {String} [field='']   field of the schema type in dot notation
+     * @return {Object}              JSON Schema definition
+     */
+    getJsonSchemaType: function (schemaType, permission, principal, field) {
+        var config = this,
+            options = schemaType.options || {},
+            instance = String(schemaType.instance || schemaType.constructor.name).replace(/^Schema/, ''),
+            definition = {};
+
+        if (schemaType.schema) {
+            // sub documents
+            definition = config.buildJsonSchema(schemaType.schema, permission, principal, field);
+            return (instance === 'Embedded') ? definition : {
+                type: 'array',
+                items: definition
+            };
+        }
+
+        if (schemaType.caster) {
+            return {
+                type: 'array',
+                items: config.getJsonSchemaType(schemaType.caster, permission, principal, field)
+            };
+        }
+
+        switch (instance) {
+        case 'String':
+            definition.type = 'string';
+            if (!_.isEmpty(schemaType.enumValues)) {
+                definition.enum = schemaType.enumValues;
+            }
+            if (_.isRegExp(options.match)) {
+                definition.pattern = options.match.source;
+            }
+            if (_.isNumber(options.minlength)) {
+                definition.minLength = options.minlength;
+            }
+            if (_.isNumber(options.maxlength)) {
+                definition.maxLength = options.maxlength;
+            }
+            break;
+        case 'Number':
+            definition.type = 'number';
+            if (_.isNumber(options.min)) {
+                definition.minimum = options.min;
+            }
+            if (_.isNumber(options.max)) {
+                definition.maximum = options.max;
+            }
+            break;
+        case 'Date':
+            definition.type = 'string';
+            definition.format = 'date-time';
+            break;
+        case 'Boolean':
+            definition.type = 'boolean';
+            break;
+        case 'ObjectID':
+        case 'ObjectId':
+            definition.type = 'string';
+            definition.pattern = '^[0-9a-fA-F]{24}$';
+            if (options.ref) {
+                definition.description = 'ObjectId of a ' + options.ref + ' document';
+            }
+            break;
+        case 'Buffer':
+            definition.type = 'string';
+            definition.format = 'byte';
+            break;
+        }
+
+        if (!_.isUndefined(options.default) && !_.isFunction(options.default)) {
+            definition.default = options.default;
+        }
+        return definition;
+    },
+    /**
+     * Validate a value against a JSON Schema definition built by buildJsonSchema. Values mongoose
+     * casts from strings (numbers, booleans and dates) are accepted in string form
+     * @param  {Object} definition  JSON Schema definition
+     * @param  {*}      value       value to validate
+     * @param  {String} [pointer=''] JSON pointer of the value
+     * @return {Array}              violations found, each holding pointer, kind, message and value
+     */
+    validateJsonSchema: function (definition, value, pointer) {
+        var config = this,
+            errors = [],
+            string,
+            number;
+
+        pointer = pointer || '';
+
+        function violation(kind, message, at) {
+            errors.push({
+                pointer: at || pointer || '/',
+                kind: kind,
+                message: message,
+                value: (at) ? undefined : value
+            });
+        }
+
+        if (_.isUndefined(value) || _.isNull(value)) {
+            return errors;
+        }
+
+        switch (definition.type) {
+        case 'object':
+            if (!_.isObject(value) || _.isArray(value)) {
+                violation('type', 'Expected an object');
+                break;
+            }
+            _.each(definition.required, function (key) {
+                if (_.isUndefined(value[key]) || _.isNull(value[key]) || value[key] === '') {
+                    violation('required', 'Path `' + key + '` is required.', pointer + '/' + escapePointer(key));
+                }
+            });
+            _.each(definition.properties, function (property, key) {
+                errors = errors.concat(config.validateJsonSchema(property, value[key], pointer + '/' + escapePointer(key)));
+            });
+            break;
+        case 'array':
+            _.each([].concat(value), function (item, index) {
+                errors = errors.concat(config.validateJsonSchema(definition.items || {}, item, pointer + '/' + index));
+            });
+            break;
+        case 'string':
+            if (definition.format === 'date-time') {
+                if ((!_.isDate(value) && !_.isString(value) && !_.isNumber(value)) || isNaN(new Date(value).getTime())) {
+                    violation('type', 'Expected a date');
+                }
+                break;
+            }
+            string = (_.isObject(value) && _.isFunction(value.toHexString)) ? value.toHexString() : value;
+            if (!_.isString(string) && !_.isNumber(string) && !_.isBoolean(string)) {
+                violation('type', 'Expected a string');
+                break;
+            }
+            string = String(string);
+            if (definition.enum && !~_.indexOf(definition.enum, string)) {
+                violation('enum', 'Expected one of ' + definition.enum.join(', '));
+            }
+            if (definition.pattern && !new RegExp(definition.pattern).test(string)) {
+                violation('regexp', 'Expected to match ' + definition.pattern);
+            }
+            if (_.isNumber(definition.minLength) && string.length < definition.minLength) {
+                violation('minlength', 'Expected at least ' + definition.minLength + ' characters');
+            }
+            if (_.isNumber(definition.maxLength) && string.length > definition.maxLength) {
+                violation('maxlength', 'Expected at most ' + definition.maxLength + ' characters');
+            }
+            break;
+        case 'number':
+            number = (_.isString(value) && value.trim() !== '') ? Number(value) : value;
+            if (!_.isNumber(number) || isNaN(number)) {
+                violation('type', 'Expected a number');
+                break;
+            }
+            if (_.isNumber(definition.minimum) && number < definition.minimum) {
+                violation('min', 'Expected a number no less than ' + definition.minimum);
+            }
+            if (_.isNumber(definition.maximum) && number > definition.maximum) {
+                violation('max', 'Expected a number no greater than ' + definition.maximum);
+            }
+            break;
+        case 'boolean':
+            if (!~_.indexOf([true, false, 'true', 'false', 1, 0, '1', '0'], value)) {
+                violation('type', 'Expected a boolean');
+            }
+            break;
+        }
+        return errors;
+    },
+    /**
+     * Check an aggregation pipeline against the aggregation policy (aggregateStages, aggregateOperators,
+     * aggregateForbiddenStages and aggregateMaxStages) and force the aggregateLimit at its end
+     * @param  {Array} pipeline aggregation pipeline
+     * @return {Array}          aggregation pipeline to run
+     */
+    checkPipeline: function (pipeline) {
+        var config = this,
+            last;
+
+        /**
+         * Collect the operators used within a stage
+         * @param  {*}     expression stage expression
+         * @param  {Array} operators  operators collected so far
+         * @return {Array}            operators
+         */
+        function collectOperators(expression, operators) {
+            _.each((_.isObject(expression)) ? expression : [], function (value, key) {
+                if (_.isString(key) && key.charAt(0) === '$') {
+                    operators.push(key);
+                }
+                collectOperators(value, operators);
+            });
+            return operators;
+        }
+
+        /**
+         * Check each stage of a pipeline, sub pipelines of $facet included
+         * @param  {Array}  stages   pipeline stages
+         * @param  {String} position position of the pipeline within the top level pipeline
+         */
+        function checkStages(stages, position) {
+            _.each(stages, function (stage, index) {
+                var at = position + index,
+                    name = _.keys(stage || {})[0],
+                    operators;
+
+                if (!_.isObject(stage) || _.keys(stage).length !== 1 || name.charAt(0) !== '$') {
+                    throw createError(400, 'Invalid aggregation stage at position ' + at);
+                }
+                if (~_.indexOf(config.aggregateForbiddenStages, name)) {
+                    throw createError(400, 'Aggregation stage ' + name + ' at position ' + at + ' is forbidden');
+                }
+                if (config.aggregateStages && !~_.indexOf(config.aggregateStages, name)) {
+                    throw createError(400, 'Aggregation stage ' + name + ' at position ' + at + ' is not allowed');
+                }
+                if (name === '$facet') {
+                    return _.each(stage.$facet, function (facet, key) {
+                        checkStages([].concat(facet), at + '.' + key + '.');
+                    });
+                }
+                if (config.aggregateOperators) {
+                    operators = _.difference(collectOperators(stage[name], []), config.aggregateOperators);
+                    if (operators.length) {
+                        throw createError(400, 'Operator ' + operators[0] + ' in aggregation stage ' + name + ' at position ' + at + ' is not allowed');
+                    }
+                }
+            });
+        }
+
+        pipeline = [].concat(pipeline || []);
+        if (config.aggregateMaxStages && pipeline.length > config.aggregateMaxStages) {
+            throw createError(400, 'Aggregation pipeline exceeds ' + config.aggregateMaxStages + ' stages');
+        }
+        checkStages(pipeline, '');
+
+        last = _.last(pipeline);
+        if (config.aggregateLimit && !(last && last.$limit > 0 && last.$limit <= config.aggregateLimit)) {
+            pipeline.push({ $limit: config.aggregateLimit });
+        }
+        return pipeline;
+    },
+    /**
+     * Check a client query against the strict query policy (queryOperators, queryMaxRegexLength,
+     * queryRegexAnchored, queryMaxDepth and queryMaxIn), only $where is rejected unless queryStrict is set
+     * @param  {Object} query mongodb query
+     * @return {Object}       query, throws a 400 error naming the part of the query at fault
+     */
+    checkQuery: function (query) {
+        var config = this;
+
+        /**
+         * Check a regular expression, either a RegExp or a $regex pattern
+         * @param  {RegExp|String} regex regular expression
+         * @param  {String}        field field matched
+         */
+        function checkRegex(regex, field) {
+            var source = (_.isRegExp(regex)) ? regex.source : String(regex);
+
+            if (config.queryMaxRegexLength && source.length > config.queryMaxRegexLength) {
+                throw createError(400, 'Regular expression on ' + field + ' exceeds ' + config.queryMaxRegexLength + ' characters');
+            }
+            if (config.queryRegexAnchored && source.charAt(0) !== '^') {
+                throw createError(400, 'Regular expression on ' + field + ' must be anchored with ^');
+            }
+        }
+
+        /**
+         * Check each key and value of a query object
+         * @param  {*}      value query value
+         * @param  {String} field field queried, empty at the top level
+         * @param  {Number} depth nesting depth of the value
+         */
+        function checkValue(value, field, depth) {
+            if (_.isRegExp(value)) {
+                return checkRegex(value, field);
+            }
+            if (_.isArray(value)) {
+                return _.each(value, function (item) {
+                    checkValue(item, field, depth);
+                });
+            }
+            if (!_.isObject(value) || value.constructor !== Object) {
+                return;
+            }
+            if (config.queryMaxDepth && depth > config.queryMaxDepth) {
+                throw createError(400, 'Query exceeds a nesting depth of ' + config.queryMaxDepth);
+            }
+            _.each(value, function (operand, key) {
+                if (key.charAt(0) !== '$') {
+                    return checkValue(operand, (field) ? field + '.' + key : key, depth + 1);
+                }
+                if (key === '$where' || (config.queryOperators && !~_.indexOf(config.queryOperators, key))) {
+                    throw createError(400, 'Query operator ' + key + ' is not allowed');
+                }
+                if ((key === '$in' || key === '$nin') && config.queryMaxIn && [].concat(operand).length > config.queryMaxIn) {
+                    throw createError(400, key + ' on ' + (field || 'query') + ' exceeds ' + config.queryMaxIn + ' values');
+                }
+                if (key === '$regex') {
+                    return checkRegex(operand, field);
+                }
+                checkValue(operand, field, depth + 1);
+            });
+        }
+
+        /**
+         * Reject $where (server side JavaScript) anywhere in a query
+         * @param  {*} value query value
+         */
+        function rejectWhere(value) {
+            if (!_.isArray(value) && (!_.isObject(value) || value.constructor !== Object)) {
+                return;
+            }
+            _.each(value, function (operand, key) {
+                if (key === '$where') {
+                    throw createError(400, 'Query operator $where is not allowed');
+                }
+                rejectWhere(operand);
+            });
+        }
+
+        if (config.queryStrict) {
+            checkValue(query, '', 1);
+        } else {
+            rejectWhere(query);
+        }
+        return query;
+    },
+    /**
+     * Get the field rule applying to a field, nested fields inherit the rule of their parent
+     * @param  {String} field field in dot notation, sub document markers (.$) are ignored
+     * @return {Object}       field rule, undefined when no rule applies
+     */
+    getFieldRule: function (field) {
+        var config = this,
+            rules = {},
+            path = field.replace(/\.\$(?=\.|$)/g, '').split('.'),
+            rule;
+
+        if (_.isEmpty(config.fieldRules)) {
+            return undefined;
+        }
+
+        _.each(config.fieldRules, function (value, key) {
+            rules[key.replace(/\.\$(?=\.|$)/g, '')] = value;
+        });
+
+        while (path.length) {
+            rule = rules[path.join('.')];
+            if (!_.isUndefined(rule)) {
+                return (_.isObject(rule) && !_.isArray(rule) && !_.isFunction(rule)) ? rule : {
+                    readable: rule,
+                    writable: rule
+                };
+            }
+            path.pop();
+        }
+        return undefined;
+    },
+    /**
+     * Check if a principal holds a permission (readable, writable, queryable or sortable) on a field
+     * @param  {String} field      field in dot notation
+     * @param  {String} permission one of readable, writable, queryable or sortable
+     * @param  {Object} principal  authenticated principal, null when anonymous
+     * @return {Boolean}
+     */
+    isFieldPermitted: function (field, permission, principal) {
+        var config = this,
+            rule = config.getFieldRule(field),
+            policy;
+
+        if (!rule) {
+            return true;
+        }
+
+        policy = rule[permission];
+        if (_.isUndefined(policy) && (permission === 'queryable' || permission === 'sortable')) {
+            policy = rule.readable;
+        }
+
+        if (_.isUndefined(policy) || policy === true) {
+            return true;
+        }
+        if (_.isFunction(policy)) {
+            return !!policy(principal, field, permission);
+        }
+        if (!principal) {
+            return false;
+        }
+        if (_.isArray(policy)) {
+            return !!_.intersection(policy, config.getUserRoles(principal)).length;
+        }
+        return policy === 'authenticated';
+    },
+    /**
+     * Filter a list of fields down to those a principal holds a permission on
+     * @param  {Array}  fields     list of fields in dot notation
+     * @param  {String} permission one of readable, writable, queryable or sortable
+     * @param  {Object} principal  authenticated principal, null when anonymous
+     * @return {Array}             list of permitted fields
+     */
+    getPermittedFields: function (fields, permission, principal) {
+        var config = this;
+        return _.filter(fields, function (field) {
+            return config.isFieldPermitted(field, permission, principal);
+        });
+    },
+    /**
+     * Get the list of fields a principal isn't permitted to read
+     * @param  {Object} principal authenticated principal, null when anonymous
+     * @return {Array}            list of hidden fields in dot notation
+     */
+    getHiddenFields: function (principal) {
+        var config = this;
+        return _.uniq(_.filter(_.map(_.keys(config.fieldRules), function (field) {
+            return field.replace(/\.\$(?=\.|$)/g, '');
+        }), function (field) {
+            return !config.isFieldPermitted(field, 'readable', principal);
+        }));
+    },
+    /**
+     * Build projection object from a string of collection fields
+     * @param  {String} fields specially formatted list of projection fields
+     * @param  {Array} [permitted] list of fields permitted in the projection, others are discarded
+     * @return {Ojbect}        mongodb formatted projection
+     */
+    buildProjectionFromString: function (fields, permitted) {
+        var projection = {};
+        _.each(fields.split(','), function (value) {
+            var field = value.split(':');
+            if (permitted && !~_.indexOf(permitted, field[0])) {
+                return;
+            }
+            if (~value.indexOf(':')) {
+                projection[field[0]] = field[1];
+            } else {
+                projection[value] = 1;
+            }
+        });
+        return projection;
+    },
+    /**
+     * Recursive function to build query params comparing param key to a list of approved fields
+     * Nested params will be represented in dot notation eg. field.child
+     * @param  {Object} params  all query parameters
+     * @param  {Array} fields  collection of acceptable key names
+     * @param  {String} [context=''] context of current param keys in dot notation
+     * @param  {Object} [schema] Mongoose schema, string values are coerced to the type of their field (see coerceValue)
+     * @return {Object}         sanitized list of query parameters
+     */
+    buildQueryFromParams: function (params, fields, context, schema) {
+        var config = this,
+            // operators comparing the field to their value, or values, coerced to the type of the field
+            comparisons = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$all'],
+            operands = { $exists: { instance: 'Boolean' }, $size: { instance: 'Number' } },
+            field;
+
+        /**
+         * Coerce a value to the type of a field when a schema is supplied
+         * @param  {*}      value        value
+         * @param  {String} field        field in dot notation
+         * @param  {Object} [schemaType] type to coerce to instead of the type of the field
+         * @return {*}                   coerced value
+         */
+        function coerce(value, field, schemaType) {
+            if (!schema || !field) {
+                return value;
+            }
+            return config.coerceValue(value, schemaType || getSchemaType(schema, field), field);
+        }
+
+        if (!_.isObject(params)) {
+            return params;
+        }
+
+        context = context || '';
+        _.each(params, function (value, key, params) {
+            field = (context) ? [context, key].join('.') : key;
+
+            // Factoring for GET parameters which make use of the
+            // proprietary modifier naming conventions
+            if (Number(key) !== key) {
+                var modifierKey = key.split('.'),
+                    modifier = modifierKey.pop();
+                if (~_.indexOf(config.fieldModifiers, modifier)) {
+                    delete params[key];
+                    key = modifierKey.join('.');
+                    field = (context) ? [context, key].join('.') : key;
+                    if (!~_.indexOf(fields, field)) {
+                        return;
+                    }
+                    value = config.processModifier(modifier, value, schema && getSchemaType(schema, field), field);
+                    // several modifiers of the same field are combined eg. age.gte=18&age.lt=65
+                    params[key] = (isPlainObject(params[key]) && !_.isArray(params[key])) ? _.extend(params[key], value) : value;
+                    return;
+                }
+            }
+
+            if (Number(key) === key) {
+                // This comes into play when you are posting a collection of
+                // sub documents, or values of an array
+                params[key] = (isPlainObject(value)) ? config.buildQueryFromParams(value, fields, context, schema) : coerce(value, context);
+            } else if (isPlainObject(value)) {
+                if (~_.indexOf(config.queryOperatorIgnore, key)) {
+                    // use previous context if key is in query operators array
+                    params[key] = config.buildQueryFromParams(value, fields, context, schema);
+                } else {
+                    params[key] = config.buildQueryFromParams(value, fields, field, schema);
+                }
+            } else if (~_.indexOf(fields, field)) {
+                params[key] = coerce(value, field);
+            } else if (~_.indexOf(config.queryOperatorIgnore, key)) {
+                if (~_.indexOf(comparisons, key) || operands[key]) {
+                    params[key] = coerce(value, context, operands[key]);
+                }
+            } else {
+                delete params[key];
+            }
+        });
+        return params;
+    },
+    /**
+     * Build a query from a filter expression, either RQL eg. and(eq(email,foo@bar.com),gt(age,21))
+     * or FIQL eg. email==foo@bar.com;age=gt=21. Fields are checked against the acceptable fields
+     * and values coerced as in buildQueryFromParams
+     * @param  {String} filter   filter expression
+     * @param  {Array}  fields   collection of acceptable field names
+     * @param  {Object} [schema] Mongoose schema, values are coerced to the type of their field
+     * @return {Object}          mongodb query, throws a 400 error for invalid expressions
+     */
+    buildFilterQuery: function (filter, fields, schema) {
+        var config = this,
+            query;
+
+        /**
+         * Check that every field of a query is acceptable
+         * @param  {Object} query mongodb query
+         */
+        function checkFields(query) {
+            _.each(query, function (value, key) {
+                if (key === '$and' || key === '$or' || key === '$nor') {
+                    return _.each(value, checkFields);
+                }
+                if (!~_.indexOf(fields, key)) {
+                    throw createError(400, 'Unknown filter field: ' + key);
+                }
+            });
+        }
+
+        if (!filter) {
+            return {};
+        }
+        if (!_.isString(filter)) {
+            throw createError(400, 'Invalid filter, expected an RQL or FIQL expression');
+        }
+
+        query = (/^[a-z]+\(/.test(filter)) ? parseRql(filter) : parseFiql(filter);
+        checkFields(query);
+        return config.buildQueryFromParams(query, fields, '', schema);
+    },
+    /**
+     * Request headers the configured authentication strategies read credentials from, taken from their securityScheme
+     * @return {Array} header names eg. Authorization or X-API-Key
+     */
+    getAuthHeaders: function () {
+        var config = this;
+
+        return _.uniq(_.compact(_.map(config.authStrategies, function (strategy) {
+            var scheme = strategy.securityScheme || {};
+            if (scheme.type === 'http') {
+                return 'Authorization';
+            }
+            return (scheme.type === 'apiKey' && scheme.in === 'header') ? scheme.name : null;
+        })));
+    },
+    /**
+     * Run the configured authentication strategies in order against the supplied credentials
+     * @param  {Object} credentials headers and query parameters from the request or socket handshake
+     * @return {Object}             Q promise resolving to the principal or null for anonymous access
+     */
+    authenticate: function (credentials) {
+        var config = this;
+
+        credentials = {
+            headers: credentials.headers || {},
+            query: credentials.query || {}
+        };
+
+        return _.reduce(config.authStrategies, function (previous, strategy) {
+            return previous.then(function (principal) {
+                return principal || strategy(credentials) || null;
+            });
+        }, Q.fcall(function () {
+            return null;
+        }));
+    },
+    /**
+     * Authenticate user and attach the resulting principal to req.user
+     * @param  {Object} req http request object
+     * @param  {Object} res http response object
+     * @param  {Function} next function to move to next route handler
+     * @return {Object}     Q promise resolving once authentication has completed
+     */
+    authenticateUser: function (req, res, next) {
+        var config = this;
+        return config.authenticate(req).then(
+            function onFulfilled(principal) {
+                req.user = principal;
+                next();
+            },
+            function onRejected(error) {
+                config.serveError(res, error);
+            });
+    },
+    /**
+     * Authenticate a socket.io connection from its handshake, the principal is attached
+     * to socket.user and the result is shared by all listeners bound to the socket
+     * @param  {Object} socket socket.io web socket connection
+     * @return {Object}        Q promise resolving to the principal or null for anonymous access
+     */
+    authenticateSocket: function (socket) {
+        var config = this,
+            handshake = socket.handshake || {};
+
+        if (!socket.authentication) {
+            socket.authentication = config.authenticate(handshake).then(function (principal) {
+                socket.user = principal;
+                return principal;
+            });
+        }
+        return socket.authentication;
+    },
+    /**
+     * Get the roles held by a principal
+     * @param  {Object} principal authenticated principal
+     * @return {Array}            list of role names
+     */
+    getUserRoles: function (principal) {
+        if (!principal) {
+            return [];
+        }
+        if (_.isArray(principal.roles)) {
+            return principal.roles;
+        }
+        return (principal.role) ? [principal.role] : [];
+    },
+    /**
+     * Check the authorization policy for an operation on a collection
+     * @param  {Object} principal  authenticated principal, null when anonymous
+     * @param  {String} collection collection name
+     * @param  {String} operation  one of create, read, update, delete or aggregate
+     * @return {Object}            Q promise resolving when permitted, rejecting with a 401 or 403 error otherwise
+     */
+    authorize: function (principal, collection, operation) {
+        var config = this,
+            policies = config.authPolicies[collection] || {},
+            policy = policies[operation];
+
+        if (_.isUndefined(policy)) {
+            policy = (config.authPolicies['*'] || {})[operation];
+        }
+
+        return Q.fcall(function () {
+            if (_.isUndefined(policy) || policy === true) {
+                return true;
+            }
+            if (_.isFunction(policy)) {
+                return policy(principal, operation, collection);
+            }
+            if (!principal) {
+                return false;
+            }
+            if (_.isArray(policy)) {
+                return !!_.intersection(policy, config.getUserRoles(principal)).length;
+            }
+            return policy === 'authenticated';
+        }).then(function (permitted) {
+            if (!permitted) {
+                throw (principal) ?
+                    createError(403, 'Not permitted to ' + operation + ' ' + collection) :
+                    createError(401, 'Authentication required');
+            }
+            return true;
+        });
+    },
+    /**
+     * Build route handler enforcing the authorization policy for an operation on a collection
+     * @param  {String} collection collection name
+     * @param  {String} operation  one of create, read, update, delete or aggregate
+     * @return {Function}          express route handler
+     */
+    authorizeUser: function (collection, operation) {
+        var config = this;
+        return function authorizeUser(req, res, next) {
+            return config.authorize(req.user, collection, operation).then(
+                function onFulfilled() {
+                    next();
+                },
+                function onRejected(error) {
+                    config.serveError(res, error);
+                });
+        };
+    },
+    /**
+     * Validate the document ID as a valid ObjectID
+     * @param  {String}  id string representation of mongodb objectid
+     * @return {Boolean}
+     */
+    isValidId: function (id) {
+        var checkForHexRegExp = new RegExp('^[0-9a-fA-F]{24}$');
+        return checkForHexRegExp.test(id);
+    },
+    /**
+     * Calculate the query offset based on results per page and page Number
+     * @param  {Number} pageNum        Page number
+     * @param  {Number} resultsPerPage Results to display per page
+     * @return {Number}                Document offset for query
+     */
+    calculateDocumentOffset: function (pageNum, resultsPerPage) {
+        return (pageNum >= 0) ? ((pageNum - 1) * resultsPerPage) : 0;
+    },
+    /**
+     * Cursor pagination parameters of a query, an empty after starts at the first document
+     * and an empty before at the last one
+     * @param  {Object} params query parameters
+     * @return {Object|null}   { after } or { before }, null when paginating by page
+     */
+    getCursor: function (params) {
+        var config = this,
+            cursor = _.pick(params || {}, 'after', 'before');
+
+        if (_.isEmpty(cursor) && config.queryPagination !== 'cursor') {
+            return null;
+        }
+        return cursor;
+    },
+    /**
+     * Mandatory query fragment every operation of the calling context is scoped to, eg.
+     * function (context) { return { tenantId: context.user.tenantId }; } for multi-tenant collections.
+     * The returned fragment is merged into find, update, remove, count and distinct queries,
+     * injected as a leading $match for group and aggregate pipelines and stamped onto created documents.
+     * @param  {Object} context calling context, { user: principal, req: req } or { user: principal, socket: socket }
+     * @param  {Object} Model   mongoose Model being queried
+     * @return {Object|null}    query fragment (or Q promise of one), null when the context is unscoped
+     */
+    scope: function () {
+        return null;
+    },
+    /**
+     * Lifecycle hooks run around every CRUD operation, keyed by phase (before or after) and then by
+     * operation: create, find, findById, update, remove, count, distinct, group, aggregate or * for all.
+     * Hooks receive a hook object holding the operation, Model, calling context and the operation
+     * arguments (query, document, updates, projection, limit, sort, page, id, select, group or pipeline)
+     * which may be modified in place, after hooks also receive (and may replace) hook.result.
+     * Throwing, rejecting or returning an Error vetoes the operation, see exports.createError.
+     * example usage: { before: { create: function (hook) { hook.document.createdBy = hook.context.user._id; } } }
+     * @type {Object}
+     */
+    hooks: {
+        before: {},
+        after: {}
+    },
+    /**
+     * Register a hook run before an operation, see config.hooks
+     * @param  {String}   operation operation name or * for all operations
+     * @param  {Function} hook      function (hook) returning nothing, an Error or a Q promise
+     * @return {Object}             config
+     */
+    before: function (operation, hook) {
+        var config = this;
+        return config.registerHook('before', operation, hook);
+    },
+    /**
+     * Register a hook run after an operation, see config.hooks
+     * @param  {String}   operation operation name or * for all operations
+     * @param  {Function} hook      function (hook) returning nothing, an Error or a Q promise
+     * @return {Object}             config
+     */
+    after: function (operation, hook) {
+        var config = this;
+        return config.registerHook('after', operation, hook);
+    },
+    /**
+     * Register a hook on this config only, configs it is layered over are left untouched
+     * @param  {String}   phase     before or after
+     * @param  {String}   operation operation name or * for all operations
+     * @param  {Function} hook      function (hook) returning nothing, an Error or a Q promise
+     * @return {Object}             config
+     */
+    registerHook: function (phase, operation, hook) {
+        var config = this,
+            hooks = _.extend({}, (_.has(config, 'hooks')) ? config.hooks : {});
+
+        hooks[phase] = _.extend({}, hooks[phase]);
+        hooks[phase][operation] = [].concat(hooks[phase][operation] || [], hook);
+        config.hooks = hooks;
+        return config;
+    },
+    /**
+     * Run the hooks registered for a phase of an operation in order, including those
+     * registered on the configs this config is layered over
+     * @param  {String} phase before or after
+     * @param  {Object} hook  hook object, hook.operation names the operation
+     * @return {Object}       Q promise resolving to the hook object, rejecting when a hook vetoes
+     */
+    runHooks: function (phase, hook) {
+        var config = this,
+            level = config,
+            hooks = [];
+
+        // hooks of the configs this config is layered over run first
+        while (level) {
+            if (_.has(level, 'hooks') && level.hooks && level.hooks[phase]) {
+                hooks = [].concat(level.hooks[phase]['*'] || [], level.hooks[phase][hook.operation] || [], hooks);
+            }
+            level = Object.getPrototypeOf(level);
+        }
+
+        hook.phase = phase;
+        return _.reduce(hooks, function (previous, fn) {
+            return previous.then(function () {
+                return fn(hook);
+            }).then(function (result) {
+                if (result instanceof Error) {
+                    throw result;
+                }
+            });
+        }, Q.fcall(function () {})).then(function () {
+            return hook;
+        });
+    },
+    crud: function (Model, context) {
+
+        var config = this,
+            fields = _.union(config.getSchemaFields(Model.schema), config.getVirtualFields(Model.schema)),
+            crud = {};
+
+        /**
+         * mongoose Model
+         * @type {Object}
+         */
+        crud.Model = Model;
+
+        /**
+         * Calling context the CRUD operations are scoped to
+         * @type {Object}
+         */
+        crud.context = context || {};
+
+        /**
+         * Resolve the scope of the calling context
+         * @return {Object} Q promise resolving to the scope query fragment or null
+         */
+        function resolveScope() {
+            return Q.fcall(function () {
+                return config.scope(crud.context, crud.Model);
+            }).then(function (scope) {
+                return (_.isEmpty(scope)) ? null : scope;
+            });
+        }
+
+        /**
+         * Restrict a projection so fields hidden from the calling context are never fetched. Included fields
+         * holding hidden fields are replaced by the readable fields of the schema below them
+         * @param  {Object} projection projection object passed to query
+         * @return {Object}            restricted projection object
+         */
+        function readableProjection(projection) {
+            var principal = crud.context.user,
+                hidden = config.getHiddenFields(principal),
+                restricted = {},
+                isInclusion = function (value, field) {
+                    return field !== '_id' && Number(value) !== 0;
+                },
+                isBelow = function (path, field) {
+                    return path.indexOf(field + '.') === 0;
+                },
+                paths;
+
+            if (_.isEmpty(config.fieldRules)) {
+                return projection;
+            }
+
+            _.each(projection, function (value, field) {
+                if (!isInclusion(value, field)) {
+                    restricted[field] = value;
+                } else if (!_.some(hidden, function (path) { return isBelow(path, field); })) {
+                    if (config.isFieldPermitted(field, 'readable', principal)) {
+                        restricted[field] = value;
+                    }
+                } else {
+                    // schema paths without sub document markers, the fields that can be projected
+                    paths = paths || _.reject(config.getSchemaFields(crud.Model.schema), function (path) {
+                        return /(^|\.)\$(\.|$)/.test(path);
+                    });
+                    _.each(paths, function (path) {
+                        var isLeaf = !_.some(paths, function (other) { return isBelow(other, path); });
+                        if (isLeaf && isBelow(path, field) && config.isFieldPermitted(path, 'readable', principal)) {
+                            restricted[path] = value;
+                        }
+                    });
+                }
+            });
+
+            if (_.some(projection, isInclusion)) {
+                return (_.some(restricted, isInclusion)) ? restricted : { _id: 1 };
+            }
+            _.each(hidden, function (field) {
+                restricted[field] = 0;
+            });
+            return restricted;
+        }
+
+        /**
+         * Discard the fields of a document or updates the calling context isn't permitted to write
+         * @param  {Object} document    document or updates, modified in place
+         * @param  {String} [prefix=''] path of the document in dot notation when it is a sub document
+         * @return {Object}             document, throws a 403 error when config.rejectUnwritableFields is set
+         */
+        function writableDocument(document, prefix) {
+            var principal = crud.context.user,
+                omitted;
+
+            if (_.isEmpty(config.fieldRules) || !_.isObject(document)) {
+                return document;
+            }
+
+            omitted = omitPaths(document, function (path) {
+                return !config.isFieldPermitted(path, 'writable', principal);
+            }, prefix);
+            if (omitted.length && config.rejectUnwritableFields) {
+                throw createError(403, 'Not permitted to write fields: ' + _.uniq(omitted).join(', '));
+            }
+            return document;
+        }
+
+        /**
+         * Validate documents or updates against the JSON Schema of the Model when config.validateRequests is enabled
+         * @param  {Object|Array} document document, list of documents or updates
+         * @param  {Boolean}      partial  true for updates, required fields aren't enforced
+         * @param  {Object}       [schema] schema of a sub document to validate against instead of the Model schema
+         * @return {Object|Array}          document
+         */
+        function validDocument(document, partial, schema) {
+            var definition,
+                errors,
+                error;
+
+            if (!config.validateRequests || !_.isObject(document)) {
+                return document;
+            }
+
+            definition = config.buildJsonSchema(schema || crud.Model.schema);
+            if (partial) {
+                definition = omitRequired(definition);
+            }
+            errors = (_.isArray(document)) ?
+                    config.validateJsonSchema({ type: 'array', items: definition }, _.map(document, expandPaths)) :
+                    config.validateJsonSchema(definition, expandPaths(document));
+            if (errors.length) {
+                error = createError(422, 'Validation failed');
+                error.errors = _.object(_.pluck(errors, 'pointer'), errors);
+                throw error;
+            }
+            return document;
+        }
+
+        /**
+         * Mandatory query fragment of the calling context, see config.scope
+         * @return {Object} Q promise resolving to the query fragment, null when unscoped
+         */
+        crud.getScope = resolveScope;
+
+        /**
+         * Restrict a projection to the fields readable by the calling context
+         * @param  {Object} [projection={}] projection object
+         * @return {Object}                 projection excluding hidden fields
+         */
+        crud.getProjection = function (projection) {
+            return readableProjection(projection || {});
+        };
+
+        /**
+         * CRUD wrapper bound to another calling context
+         * @param  {Object} context calling context
+         * @return {Object}         CRUD wrapper
+         */
+        crud.as = function (context) {
+            return config.crud(Model, context);
+        };
+
+        /**
+         * Run the before hooks of an operation, resolve the scope, perform the operation
+         * and run the after hooks with its result
+         * @param  {Object}   hook      hook object handed to every hook, see config.hooks
+         * @param  {Function} operation function (scope) returning a Q promise of the operation result
+         * @return {Object}             Q promise resolving to the operation result, possibly replaced by after hooks
+         */
+        function perform(hook, operation) {
+            hook.Model = crud.Model;
+            hook.context = crud.context;
+            return config.runHooks('before', hook).then(function () {
+                return resolveScope();
+            }).then(function (scope) {
+                return operation(scope);
+            }).then(function (result) {
+                hook.result = result;
+                return config.runHooks('after', hook);
+            }).then(function () {
+                return hook.result;
+            });
+        }
+
+        /**
+         * Build the sort of a find from a comma separated list of field:direction or an object,
+         * only sortable fields are kept
+         * @param  {String|Object} [sort] sort parameter, config.querySort when empty
+         * @return {Object}               sort object
+         */
+        function buildSort(sort) {
+            if (!sort) {
+                return config.querySort;
+            }
+            if (_.isString(sort)) {
+                var sortParams = sort.split(',');
+                sort = {};
+                sortParams.forEach(function (param) {
+                    param = param.split(':');
+                    sort[param[0]] = param[1];
+                });
+                sort = config.buildQueryFromParams(sort, config.getPermittedFields(fields, 'sortable', crud.context.user));
+            }
+            return sort;
+        }
+
+        /**
+         * Build node style callback settling a deferred
+         * @param  {Object} deferred Q deferred
+         * @return {Function}        callback (error, result)
+         */
+        function settle(deferred) {
+            return function (error, result) {
+                if (error) {
+                    deferred.reject(error);
+                } else {
+                    deferred.resolve(result);
+                }
+            };
+        }
+
+        /**
+         * Check if changes made through the wrapper are to be published to the change feed
+         * @return {Boolean}
+         */
+        function publishing() {
+            return !!config.publishChanges && exports.changes.listeners('change').length > 0;
+        }
+
+        /**
+         * Publish a change to the change feed once the current operation has settled
+         * @param  {String} type     created, updated or removed
+         * @param  {Object} document document changed
+         * @param  {Object} [previous] document before an update
+         */
+        function publish(type, document, previous) {
+            process.nextTick(function () {
+                exports.changes.emit('change', {
+                    type: type,
+                    Model: crud.Model,
+                    document: document,
+                    previous: previous,
+                    context: crud.context
+                });
+            });
+        }
+
+        /**
+         * Find the documents about to be changed when changes are published
+         * @param  {Object} query query matching the documents
+         * @return {Object}       Q promise resolving to the documents, empty when changes aren't published
+         */
+        function findChanging(query) {
+            var deferred = Q.defer();
+            if (!publishing()) {
+                deferred.resolve([]);
+            } else {
+                crud.Model.find(query, settle(deferred));
+            }
+            return deferred.promise;
+        }
+
+        /**
+         * Expand references of documents with the documents they point to using Mongoose populate.
+         * Referenced documents follow the authorization policy, scope and field rules of their resource,
+         * (see config.resources) or of this resource when theirs isn't registered. Paths reaching through
+         * references eg. author.company expand each reference along the way
+         * @param  {Object|Array} documents document or documents to expand
+         * @param  {String|Array} expand    references to expand, see parseExpansions
+         * @return {Object}                 Q promise resolving to the documents, throws a 400 error for paths
+         *                                  that aren't references and a 403 error for references that can't be read
+         */
+        crud.populate = function (documents, expand) {
+            return Q.fcall(function () {
+                var principal = crud.context.user,
+                    expansions = parseExpansions(expand),
+                    references = {};
+
+                if (!expansions.length || !documents || (_.isArray(documents) && !documents.length)) {
+                    return documents;
+                }
+
+                // group the expansions by the reference of this Model they start with
+                _.each(expansions, function (expansion) {
+                    var parts = expansion.path.split('.'),
+                        length = parts.length,
+                        schemaType = null,
+                        path;
+
+                    while (length && !getReference(schemaType)) {
+                        path = parts.slice(0, length).join('.');
+                        schemaType = getSchemaType(crud.Model.schema, path);
+                        length -= 1;
+                    }
+                    if (!getReference(schemaType)) {
+                        throw createError(400, 'Unable to expand ' + expansion.path + ', it isn\'t a reference');
+                    }
+                    if (!config.isFieldPermitted(path, 'readable', principal)) {
+                        throw createError(403, 'Not permitted to read fields: ' + path);
+                    }
+
+                    references[path] = references[path] || {
+                        ref: getReference(schemaType),
+                        select: null,
+                        nested: []
+                    };
+                    if (length + 1 < parts.length) {
+                        references[path].nested.push({ path: parts.slice(length + 1).join('.'), select: expansion.select });
+                    } else {
+                        references[path].select = expansion.select;
+                    }
+                });
+
+                return Q.all(_.map(references, function (reference, path) {
+                    var resource = _.find(config.resources || {}, function (resource) {
+                            return resource.Model.modelName === reference.ref;
+                        }),
+                        Target = (resource) ? resource.Model : crud.Model.db.model(reference.ref),
+                        targetConfig = (resource) ? resource.config : config,
+                        target = targetConfig.crud(Target, crud.context);
+
+                    return targetConfig.authorize(principal, (resource) ? resource.name : Target.collection.name, 'read').then(function () {
+                        return target.getScope();
+                    }).then(function (scope) {
+                        var deferred = Q.defer(),
+                            select = (reference.select) ? _.object(reference.select, _.map(reference.select, function () {
+                                return 1;
+                            })) : {};
+
+                        crud.Model.populate(documents, {
+                            path: path,
+                            model: reference.ref,
+                            select: target.getProjection(select),
+                            match: scope || undefined
+                        }, settle(deferred));
+                        return deferred.promise;
+                    }).then(function () {
+                        var populated = _.compact(_.flatten(_.map([].concat(documents), function (document) {
+                            return (document.get) ? document.get(path) : getPathValues(document, path.split('.'));
+                        })));
+                        return target.populate(populated, reference.nested);
+                    });
+                })).then(function () {
+                    return documents;
+                });
+            });
+        };
+
+        /**
+         * Save document to Mongo collection using Mongoose create method
+         * @param  {Object} document JSON object to be inserted into collection
+         * @return {Object}          Q promise resolving to save results
+         */
+        crud.save = function (document) {
+            return Q.fcall(function () {
+                var hook = {
+                    operation: 'create',
+                    document: writableDocument(document)
+                };
+
+                return perform(hook, function (scope) {
+                    var deferred = Q.defer();
+                    if (scope) {
+                        _.each([].concat(hook.document), function (document) {
+                            stampScope(document, scope);
+                        });
+                    }
+                    validDocument(hook.document);
+                    crud.Model.create(hook.document, settle(deferred));
+                    return deferred.promise.then(function (created) {
+                        if (publishing()) {
+                            _.each([].concat(created), function (document) {
+                                publish('created', document);
+                            });
+                        }
+                        return created;
+                    });
+                });
+            });
+        };
+
+        /**
+         * Find alias
+         * @type {Function}
+         */
+        crud.create = crud.save;
+
+        /**
+         * Find a page of documents positioned after (or before) a cursor, the documents resolved
+         * hold a non enumerable cursor property with the next and prev cursors, null when there are none
+         * @param  {Object} query      query for Mongoose find method
+         * @param  {Number} limit      number of documents per page
+         * @param  {Object} sort       sort object
+         * @param  {Object} projection projection object passed to query
+         * @param  {Object} cursor     { after } or { before }, see config.getCursor
+         * @return {Object}            Q promise resolving to find results
+         */
+        function findByCursor(query, limit, sort, projection, cursor) {
+            var deferred = Q.defer(),
+                keys = getCursorKeys(sort),
+                backward = _.has(cursor, 'before'),
+                token = (backward) ? cursor.before : cursor.after,
+                order = {};
+
+            projection = _.extend({}, projection);
+            _.each(keys, function (key) {
+                order[key[0]] = (backward) ? -key[1] : key[1];
+                // inclusive projections, eg. { email: '1' } built by config.buildProjectionFromString, must hold the keys
+                if (_.some(projection, function (value, field) { return field !== '_id' && Number(value) !== 0; })) {
+                    projection[key[0]] = 1;
+                }
+            });
+            if (token) {
+                query = scopeQuery(query, keysetQuery(keys, decodeCursor(token, keys), backward));
+            }
+
+            crud.Model.find(query, projection)
+                .limit((limit > 0) ? limit + 1 : 0)
+                .sort(order)
+                .exec(settle(deferred));
+            return deferred.promise.then(function (documents) {
+                var more = limit > 0 && documents.length > limit,
+                    next = (backward) ? !!token : more,
+                    prev = (backward) ? more : !!token;
+
+                documents = documents.slice(0, (more) ? limit : documents.length);
+                if (backward) {
+                    documents.reverse();
+                }
+                Object.defineProperty(documents, 'cursor', {
+                    value: {
+                        next: (next && documents.length) ? encodeCursor(keys, _.last(documents)) : null,
+                        prev: (prev && documents.length) ? encodeCursor(keys, _.first(documents)) : null
+                    }
+                });
+                return documents;
+            });
+        }
+
+        /**
+         * Find document(s) in mongodb collection using Mongoose find method
+         * @param  {Object} [query={}] query for Mongoose find method
+         * @param  {Number} [limit=config.queryLimit] number of documents per page
+         * @param  {Object|String} [sort=config.querySort] sort object or string eg. name.last:-1,email
+         * @param  {Object} [projection={}] projection object passed to query
+         * @param  {Number} [pageNum] page of documents to find
+         * @param  {Object} [cursor] { after } or { before } to paginate by cursor instead of page, see config.getCursor
+         * @param  {String|Array} [expand] references to expand, see crud.populate
+         * @return {Object}          Q promise resolving to find results
+         */
+        crud.find = function (query, limit, sort, projection, pageNum, cursor, expand) {
+            var hook = {
+                operation: 'find',
+                query: query,
+                limit: limit,
+                sort: sort,
+                projection: projection,
+                page: pageNum,
+                cursor: cursor,
+                expand: expand
+            };
+
+            return perform(hook, function (scope) {
+                var deferred = Q.defer(),
+                    limit = hook.limit || config.queryLimit,
+                    sort = buildSort(hook.sort),
+                    projection = readableProjection(hook.projection || {}),
+                    found;
+
+                config.checkQuery(hook.query);
+
+                if (hook.cursor) {
+                    found = findByCursor(scopeQuery(hook.query, scope), parseInt(limit, 10), sort, projection, hook.cursor);
+                } else {
+                    crud.Model.find(scopeQuery(hook.query, scope), projection)
+                        .skip(config.calculateDocumentOffset(hook.page, limit) || config.queryOffset)
+                        .limit(limit)
+                        .sort(sort)
+                        .exec(settle(deferred));
+                    found = deferred.promise;
+                }
+                return found.then(function (documents) {
+                    return crud.populate(documents, hook.expand);
+                });
+            });
+        };
+
+        /**
+         * Build the query of a full text search, using the text index of the Model when there is one.
+         * Without a text index every word must match one of the searched fields (config.searchFields)
+         * @param  {String} text  words to search for
+         * @param  {Object} [query={}] mongodb query to narrow the search down
+         * @return {Object}       mongodb query, throws a 400 error when there is nothing to search for
+         */
+        crud.buildSearchQuery = function (text, query) {
+            var searchable = config.getPermittedFields(config.searchFields || _.filter(fields, function (field) {
+                    var schemaType = !/\.\$(\.|$)/.test(field) && getSchemaType(crud.Model.schema, field);
+                    return schemaType && !schemaType.caster && String(schemaType.instance || schemaType.constructor.name).replace(/^Schema/, '') === 'String';
+                }), 'queryable', crud.context.user),
+                words = _.compact(String(text || '').split(/\s+/)),
+                conditions;
+
+            /**
+             * Combine conditions, a single condition is left as is
+             * @param  {String} operator   $and or $or
+             * @param  {Array}  conditions query conditions
+             * @return {Object}            query
+             */
+            function combine(operator, conditions) {
+                return (conditions.length === 1) ? conditions[0] : _.object([operator], [conditions]);
+            }
+
+            if (!words.length) {
+                throw createError(400, 'Search text required');
+            }
+            if (crud.isTextIndexed()) {
+                return combineQueries(query, { $text: { $search: String(text) } });
+            }
+            if (!searchable.length) {
+                throw createError(400, 'No searchable fields');
+            }
+            conditions = _.map(words, function (word) {
+                return combine('$or', _.map(searchable, function (field) {
+                    // anchored to the start of values when strict queries require it
+                    return _.object([field], [{ $regex: new RegExp(((config.queryRegexAnchored) ? '^' : '') + escapeRegExp(word), 'i') }]);
+                }));
+            });
+            return combineQueries(query, combine('$and', conditions));
+        };
+
+        /**
+         * Check if the Model has a text index searches can use, see config.searchTextIndex
+         * @return {Boolean}
+         */
+        crud.isTextIndexed = function () {
+            return !!config.searchTextIndex && _.some(crud.Model.schema.indexes(), function (index) {
+                return _.contains(_.values(index[0]), 'text');
+            });
+        };
+
+        /**
+         * Search document(s) in mongodb collection, documents found with the text index are scored by relevance
+         * and sorted by score unless sorted otherwise. The score is included with each document, without the text index
+         * score is ignored in sort and documents are sorted by config.querySort unless sorted by other fields
+         * @param  {String} text          words to search for
+         * @param  {Object} [query={}]    mongodb query to narrow the search down
+         * @param  {Number} [limit=0]     maximum number of documents, see config.queryLimit
+         * @param  {String|Object} [sort] field:direction list, score sorts by relevance
+         * @param  {Object} [projection={}] projection object passed to query
+         * @param  {Number} [pageNum=1]   page number
+         * @return {Object}               Q promise resolving to search results
+         */
+        crud.search = function (text, query, limit, sort, projection, pageNum) {
+            var hook = {
+                operation: 'search',
+                text: text,
+                query: query || {},
+                limit: limit,
+                sort: sort,
+                projection: projection,
+                page: pageNum
+            };
+
+            return perform(hook, function (scope) {
+                var deferred = Q.defer(),
+                    limit = hook.limit || config.queryLimit,
+                    offset = config.calculateDocumentOffset(hook.page, limit) || config.queryOffset,
+                    projection = readableProjection(hook.projection || {}),
+                    score = { $meta: 'textScore' },
+                    params = (_.isString(hook.sort)) ? _.compact(hook.sort.split(',')) : _.map(hook.sort || {}, function (direction, field) {
+                        return field + ':' + direction;
+                    }),
+                    others = _.reject(params, function (param) {
+                        return param.split(':')[0] === 'score';
+                    }),
+                    sort = (others.length) ? buildSort(others.join(',')) : {},
+                    search;
+
+                config.checkQuery(hook.query);
+                search = crud.Model.find(scopeQuery(crud.buildSearchQuery(hook.text, hook.query), scope));
+                if (!crud.isTextIndexed()) {
+                    // there's no relevance to sort by without the text index
+                    search.select(projection).sort((others.length) ? sort : config.querySort);
+                } else {
+                    // documents are sorted by relevance first unless sorted otherwise
+                    search.select(_.extend({}, projection, { score: score })).sort(_.reduce((params.length) ? params : ['score'], function (order, param) {
+                        var field = param.split(':')[0];
+                        if (field === 'score') {
+                            order.score = score;
+                        } else if (_.has(sort, field)) {
+                            order[field] = (/^(-1|desc|descending)$/i.test(String(sort[field]))) ? -1 : 1;
+                        }
+                        return order;
+                    }, {}));
+                }
+                search.skip(offset).limit(limit).exec(settle(deferred));
+                return deferred.promise;
+            });
+        };
+
+        /**
+         * Find document(s) in mongodb collection by _id using Mongoose findOne method
+         * @param  {Objectid} id mongodb id in string format
+         * @param  {Object} [projection={}] projection object passed to query
+         * @param  {String|Array} [expand] references to expand, see crud.populate
+         * @return {Object}          Q promise resolving to find results
+         */
+        crud.findById = function (id, projection, expand) {
+            var hook = {
+                operation: 'findById',
+                id: id,
+                projection: projection,
+                expand: expand
+            };
+
+            return perform(hook, function (scope) {
+                var deferred = Q.defer();
+                crud.Model.findOne(scopeQuery({ _id: hook.id }, scope), readableProjection(hook.projection || {}), settle(deferred));
+                return deferred.promise.then(function (document) {
+                    return crud.populate(document, hook.expand);
+                });
+            });
+        };
+
+        /**
+         * Update the documents matching a query using Mongoose update method, recording how many documents
+         * were matched and modified
+         * @param  {Object} query   mongodb query
+         * @param  {Object} updates document updates
+         * @param  {Object} counts  object the matched and modified counts are recorded on
+         * @return {Object}         Q promise resolving to the number of documents updated
+         */
+        function updateMatching(query, updates, counts) {
+            return Q.fcall(function () {
+                var hook = {
+                    operation: 'update',
+                    query: query,
+                    updates: writableDocument(updates)
+                };
+
+                return perform(hook, function (scope) {
+                    var query = scopeQuery(config.checkQuery(hook.query), scope);
+                    if (scope && !isUpdateInScope(hook.updates, scope)) {
+                        throw createError(403, 'Updates would move the document outside of your scope');
+                    }
+                    validDocument(hook.updates, true);
+                    return findChanging(query).then(function (previous) {
+                        var deferred = Q.defer();
+                        crud.Model.update(query, hook.updates, { multi: true }, function (error, updated, raw) {
+                            counts.matched = updated || 0;
+                            // servers before 2.6 don't report documents left unchanged by an update
+                            counts.modified = (raw && _.has(raw, 'nModified')) ? raw.nModified : counts.matched;
+                            settle(deferred)(error, updated);
+                        });
+                        return deferred.promise.then(function (updated) {
+                            var changed = Q.defer();
+                            if (!previous.length) {
+                                return updated;
+                            }
+                            crud.Model.find({ _id: { $in: _.pluck(previous, '_id') } }, settle(changed));
+                            return changed.promise.then(function (documents) {
+                                _.each(documents, function (document) {
+                                    publish('updated', document, _.find(previous, function (before) {
+                                        return String(before._id) === String(document._id);
+                                    }));
+                                });
+                                return updated;
+                            });
+                        });
+                    });
+                });
+            });
+        }
+
+        /**
+         * Update document(s) in mongodb collection using Mongoose update method
+         * @param  {Object} query   mongodb query
+         * @param  {Object} updates document updates
+         * @return {Object}         Q promise resolving to the number of documents updated
+         */
+        crud.update = function (query, updates) {
+            return updateMatching(query, updates, {});
+        };
+
+        /**
+         * Update document(s) in mongodb collection using Mongoose update method, as bulk routes do
+         * @param  {Object} query   mongodb query
+         * @param  {Object} updates document updates
+         * @return {Object}         Q promise resolving to { matched, modified, deleted } counts
+         */
+        crud.updateMany = function (query, updates) {
+            var counts = {};
+
+            return updateMatching(query, updates, counts).then(function () {
+                return { matched: counts.matched, modified: counts.modified, deleted: 0 };
+            });
+        };
+
+        /**
+         * Update the first document matching a query and resolve the resulting document. The updates are applied
+         * to the document found and the document saved, so Mongoose validators and middleware of the Model run.
+         * Only plain fields and the $set, $unset, $inc, $push, $addToSet, $pull and $pullAll operators are
+         * supported, crud.update takes any update
+         * @param  {Object} query           mongodb query
+         * @param  {Object} updates         document updates
+         * @param  {Object} [projection={}] projection applied to the document resolved
+         * @return {Object}                 Q promise resolving to the updated document, null when it isn't found
+         */
+        crud.findOneAndUpdate = function (query, updates, projection) {
+            return Q.fcall(function () {
+                var hook = {
+                    operation: 'update',
+                    query: query,
+                    updates: writableDocument(updates),
+                    projection: projection
+                };
 
-        var config = this,
-            fields = _.union(config.getSchemaFields(Model.schema), config.getVirtualFields(Model.schema)),
-            crud = {};
+                return perform(hook, function (scope) {
+                    var query = scopeQuery(config.checkQuery(hook.query), scope),
+                        deferred = Q.defer();
+
+                    if (scope && !isUpdateInScope(hook.updates, scope)) {
+                        throw createError(403, 'Updates would move the document outside of your scope');
+                    }
+                    validDocument(hook.updates, true);
+                    crud.Model.findOne(query, settle(deferred));
+                    return deferred.promise.then(function (document) {
+                        var previous = (document && publishing()) ? document.toObject() : null,
+                            saved = Q.defer();
+
+                        if (!document) {
+                            return null;
+                        }
+                        applyUpdates(document, hook.updates);
+                        document.save(settle(saved));
+                        return saved.promise.then(function () {
+                            if (previous) {
+                                publish('updated', document, previous);
+                            }
+                            return projectDocument(document, readableProjection(hook.projection || {}));
+                        });
+                    });
+                });
+            });
+        };
 
         /**
-         * mongoose Model
-         * @type {Object}
+         * Update a document by _id and resolve the resulting document, see crud.findOneAndUpdate
+         * @param  {Object} id              document _id
+         * @param  {Object} updates         document updates
+         * @param  {Object} [projection={}] projection applied to the document resolved
+         * @return {Object}                 Q promise resolving to the updated document, null when it isn't found
          */
-        crud.Model = Model;
+        crud.findByIdAndUpdate = function (id, updates, projection) {
+            return crud.findOneAndUpdate({ _id: id }, updates, projection);
+        };
 
         /**
-         * Save document to Mongo collection using Mongoose create method
-         * @param  {Object} document JSON object to be inserted into collection
-         * @return {Object}          Q promise resolving to save results
+         * Replace a document by _id with the fields sent, fields missing from the replacement are removed from the document
+         * unless their schema path has a default, those keep their value. Only the fields the calling context may read and
+         * write are replaced, others are left as they are. The replacement is saved through crud.findByIdAndUpdate with
+         * $set and $unset updates, so Mongoose casts the values sent and validates the document as a whole
+         * @param  {Object} id              document _id
+         * @param  {Object} document        replacement document
+         * @param  {Object} [projection={}] projection applied to the document resolved
+         * @return {Object}                 Q promise resolving to the replaced document, null when it isn't found
          */
-        crud.save = function (document) {
-            var deferred = Q.defer();
-            try {
-                crud.Model.create(document, function (error, model) {
-                    if (error) {
-                        deferred.reject(error);
-                    } else {
-                        deferred.resolve(model);
+        crud.replace = function (id, document, projection) {
+            return resolveScope().then(function (scope) {
+                var principal = crud.context.user,
+                    values,
+                    updates = {};
+
+                document = stampScope(writableDocument(_.omit(document || {}, '_id', 'id')), scope);
+                validDocument(document);
+                // values as sent, a new document would come with defaults and new sub document ids
+                values = expandPaths(document);
+                _.each(crud.Model.schema.paths, function (schemaType, path) {
+                    var value = getPath(values, path);
+
+                    if (path === '_id' || _.contains(config.schemaFieldIgnore, path.split('.')[0]) ||
+                            !config.isFieldPermitted(path, 'writable', principal) ||
+                            !config.isFieldPermitted(path, 'readable', principal)) {
+                        return;
+                    }
+                    if (!_.isUndefined(value)) {
+                        updates.$set = updates.$set || {};
+                        updates.$set[path] = value;
+                    } else if (_.isUndefined(schemaType.options && schemaType.options.default)) {
+                        updates.$unset = updates.$unset || {};
+                        updates.$unset[path] = 1;
                     }
                 });
-            } catch (error) {
-                deferred.reject(error);
-            }
-            return deferred.promise;
+                return crud.findByIdAndUpdate(id, updates, projection);
+            });
         };
 
         /**
-         * Find alias
-         * @type {Function}
+         * Patch a document by _id with a JSON Merge Patch (RFC 7386) or a JSON Patch (RFC 6902).
+         * Both translate to $set and $unset updates saved through crud.findOneAndUpdate. JSON Patches are applied to
+         * the document as found and only saved to a document still holding the values the patch changed or tested,
+         * a document changed in the meantime fails the patch with a 409 error rather than losing changes
+         * @param  {Object}       id             document _id
+         * @param  {Object|Array} patch          merge patch or list of JSON Patch operations
+         * @param  {String}       [format=merge] merge or json
+         * @param  {Object}       [projection={}] projection applied to the document resolved
+         * @return {Object}                      Q promise resolving to the patched document, null when it isn't found
          */
-        crud.create = crud.save;
+        crud.patch = function (id, patch, format, projection) {
+            return Q.fcall(function () {
+                var updates;
+
+                if (format === 'json') {
+                    return crud.findById(id).then(function (document) {
+                        var original = (document && document.toObject) ? document.toObject() : document,
+                            before = JSON.parse(JSON.stringify(_.omit(original || {}, config.schemaFieldIgnore))),
+                            after = JSON.parse(JSON.stringify(before)),
+                            query = { _id: id },
+                            tested;
+
+                        if (!document) {
+                            return null;
+                        }
+                        tested = applyJsonPatch(after, patch);
+                        updates = diffUpdates(before, after);
+                        if (_.has(updates.$set || {}, '_id') || _.has(updates.$unset || {}, '_id')) {
+                            throw createError(400, 'Unable to change _id');
+                        }
+                        if (_.isEmpty(updates)) {
+                            return projectDocument(document, readableProjection(projection || {}));
+                        }
+                        _.each(_.union(_.keys(updates.$set || {}), _.keys(updates.$unset || {}), tested), function (path) {
+                            guardQuery(getPath(original, path), path, query);
+                        });
+                        return crud.findOneAndUpdate(query, updates, projection).then(function (patched) {
+                            if (!patched) {
+                                throw createError(409, 'Document changed while being patched, the patch wasn\'t applied');
+                            }
+                            return patched;
+                        });
+                    });
+                }
+
+                if (!isPlainObject(patch) || _.isArray(patch)) {
+                    throw createError(400, 'JSON Merge Patch must be an object');
+                }
+                updates = mergePatchUpdates(_.omit(patch, '_id', 'id'), crud.Model.schema);
+                if (_.isEmpty(updates)) {
+                    return crud.findById(id, projection);
+                }
+                return crud.findByIdAndUpdate(id, updates, projection);
+            });
+        };
 
         /**
-         * Find document(s) in mongodb collection using Mongoose find method
-         * @param  {Object} [query={}] query for Mongoose find method
-         * @param  {Object} [projection={}] projection object passed to query
-         * @return {Object}          Q promise resolving to find results
+         * Remove document(s) in mongodb collection using Mongoose remove method
+         * @param  {Object} query query for Mongoose remove method
+         * @return {Object}       Q promise resolving to removed results
          */
-        crud.find = function (query, limit, sort, projection, pageNum) {
-            var deferred = Q.defer();
+        crud.remove = function (query) {
+            var hook = {
+                operation: 'remove',
+                query: query
+            };
 
-            limit = limit || config.queryLimit;
-            sort = sort;
-            projection = projection || {};
-            query = crud.Model.find(query, projection);
+            return perform(hook, function (scope) {
+                var query = scopeQuery(config.checkQuery(hook.query), scope);
+                return findChanging(query).then(function (previous) {
+                    var deferred = Q.defer();
+                    crud.Model.remove(query, settle(deferred));
+                    return deferred.promise.then(function (removed) {
+                        _.each(previous, function (document) {
+                            publish('removed', document);
+                        });
+                        return removed;
+                    });
+                });
+            });
+        };
 
-            if (!sort) {
-                sort = config.querySort;
-            } else {
-                var sortParams = sort.split(',');
-                sort = {};
-                sortParams.forEach(function (param) {
-                    param = param.split(':');
-                    sort[param[0]] = param[1];
+        /**
+         * Remove alias
+         * @type {Object}
+         */
+        crud.delete = crud.remove;
+
+        /**
+         * Remove document(s) in mongodb collection using Mongoose remove method, as bulk routes do
+         * @param  {Object} query query for Mongoose remove method
+         * @return {Object}       Q promise resolving to { matched, modified, deleted } counts
+         */
+        crud.removeMany = function (query) {
+            return crud.remove(query).then(function (removed) {
+                removed = Number(removed) || 0;
+                return { matched: removed, modified: 0, deleted: removed };
+            });
+        };
+
+        /**
+         * Remove the first document matching a query and resolve the removed document. The document
+         * is removed through Mongoose document remove method, so middleware of the Model runs
+         * @param  {Object} query           mongodb query
+         * @param  {Object} [projection={}] projection applied to the document resolved
+         * @return {Object}                 Q promise resolving to the removed document, null when it isn't found
+         */
+        crud.findOneAndRemove = function (query, projection) {
+            var hook = {
+                operation: 'remove',
+                query: query,
+                projection: projection
+            };
+
+            return perform(hook, function (scope) {
+                var deferred = Q.defer();
+                crud.Model.findOne(scopeQuery(config.checkQuery(hook.query), scope), settle(deferred));
+                return deferred.promise.then(function (document) {
+                    var removed = Q.defer();
+
+                    if (!document) {
+                        return null;
+                    }
+                    document.remove(settle(removed));
+                    return removed.promise.then(function () {
+                        if (publishing()) {
+                            publish('removed', document);
+                        }
+                        return projectDocument(document, readableProjection(hook.projection || {}));
+                    });
                 });
-                sort = config.buildQueryFromParams(sort, fields);
+            });
+        };
+
+        /**
+         * Remove a document by _id and resolve the removed document, see crud.findOneAndRemove
+         * @param  {Object} id              document _id
+         * @param  {Object} [projection={}] projection applied to the document resolved
+         * @return {Object}                 Q promise resolving to the removed document, null when it isn't found
+         */
+        crud.findByIdAndRemove = function (id, projection) {
+            return crud.findOneAndRemove({ _id: id }, projection);
+        };
+
+        /**
+         * Schema of a sub document array of the Model the calling context holds a permission on
+         * @param  {String} path       sub document array path, see config.getSubdocumentPaths
+         * @param  {String} permission readable or writable
+         * @return {Object}            Mongoose schema of the sub documents, throws a 404 error for paths that
+         *                             aren't sub document arrays and a 403 error when the permission isn't held
+         */
+        function subdocumentSchema(path, permission) {
+            if (!~_.indexOf(config.getSubdocumentPaths(crud.Model.schema), path)) {
+                throw createError(404, 'Unknown sub document array: ' + path);
+            }
+            if (!config.isFieldPermitted(path, permission, crud.context.user)) {
+                throw createError(403, 'Not permitted to ' + ((permission === 'readable') ? 'read' : 'write') + ' field: ' + path);
             }
+            return crud.Model.schema.path(path).schema;
+        }
 
-            var offset = config.calculateDocumentOffset(pageNum, limit) || config.queryOffset;
-            query
-                .skip(offset)
-                .limit(limit)
-                .sort(sort)
-                .exec(function (error, documents) {
-                    if (error) {
-                        deferred.reject(error);
-                    } else {
-                        deferred.resolve(documents);
+        /**
+         * Change the sub documents of a document and save it, so Mongoose validates the sub documents
+         * and runs the middleware of the Model
+         * @param  {Object}   hook   hook object of the operation, holds the id of the document and path of the sub documents
+         * @param  {Function} change function (subdocuments) changing the sub documents, returns the sub document changed
+         * @return {Object}          Q promise resolving to the sub document changed, null when either document isn't found
+         */
+        function changeSubdocuments(hook, change) {
+            return perform(hook, function (scope) {
+                var deferred = Q.defer();
+                crud.Model.findOne(scopeQuery({ _id: hook.id }, scope), settle(deferred));
+                return deferred.promise.then(function (document) {
+                    var previous = (document && publishing()) ? document.toObject() : null,
+                        subdocument = (document) ? change(document.get(hook.path)) : null,
+                        saved = Q.defer();
+
+                    if (!subdocument) {
+                        return null;
                     }
+                    document.save(settle(saved));
+                    return saved.promise.then(function () {
+                        if (previous) {
+                            publish('updated', document, previous);
+                        }
+                        return subdocument;
+                    });
                 });
-            return deferred.promise;
+            });
+        }
+
+        /**
+         * Find the sub documents of a document
+         * @param  {Object} id   document _id
+         * @param  {String} path sub document array path, see config.getSubdocumentPaths
+         * @return {Object}      Q promise resolving to the sub documents, null when the document isn't found
+         */
+        crud.findSubdocuments = function (id, path) {
+            return Q.fcall(function () {
+                var projection = {};
+
+                subdocumentSchema(path, 'readable');
+                projection[path] = 1;
+                return crud.findById(id, projection);
+            }).then(function (document) {
+                return (document) ? document.get(path) : null;
+            });
         };
 
         /**
-         * Find document(s) in mongodb collection by _id using Mongoose findById method
-         * @param  {Objectid} id mongodb id in string format
-         * @param  {Object} [projection={}] projection object passed to query
-         * @return {Object}          Q promise resolving to find results
+         * Find a sub document of a document
+         * @param  {Object} id    document _id
+         * @param  {String} path  sub document array path, see config.getSubdocumentPaths
+         * @param  {Object} subId sub document _id
+         * @return {Object}       Q promise resolving to the sub document, null when either document isn't found
          */
-        crud.findById = function (id, projection) {
-            var deferred = Q.defer();
-            projection = projection || {};
-            crud.Model.findById(id, projection, function (error, documents) {
-                if (error) {
-                    deferred.reject(error);
-                } else {
-                    deferred.resolve(documents);
-                }
+        crud.findSubdocument = function (id, path, subId) {
+            return crud.findSubdocuments(id, path).then(function (subdocuments) {
+                return (subdocuments) ? subdocuments.id(subId) : null;
             });
-            return deferred.promise;
         };
 
         /**
-         * Update document in mongodb collection by _id using mongoose update method
-         * @param  {Object} query     mongodb query
-         * @param  {Object} updates document updates
-         * @return {Object}          Q promise resolving to findByIdAndUpdate results
+         * Add a sub document to a document, validated against the sub document schema
+         * @param  {Object} id          document _id
+         * @param  {String} path        sub document array path, see config.getSubdocumentPaths
+         * @param  {Object} subdocument sub document to add
+         * @return {Object}             Q promise resolving to the sub document added, null when the document isn't found
          */
-        crud.update = function (query, updates) {
-            var deferred = Q.defer();
-            crud.Model.update(query, updates, { multi: true }, function (error, update) {
-                if (error) {
-                    deferred.reject(error);
-                } else {
-                    deferred.resolve(update);
-                }
+        crud.addSubdocument = function (id, path, subdocument) {
+            return Q.fcall(function () {
+                var schema = subdocumentSchema(path, 'writable'),
+                    hook = {
+                        operation: 'addSubdocument',
+                        id: id,
+                        path: path,
+                        document: writableDocument(subdocument, path)
+                    };
+
+                return changeSubdocuments(hook, function (subdocuments) {
+                    validDocument(hook.document, false, schema);
+                    subdocuments.push(hook.document);
+                    return _.last(subdocuments);
+                });
             });
-            return deferred.promise;
         };
 
         /**
-         * Remove document(s) in mongodb collection using Mongoose remove method
-         * @param  {Object} query query for Mongoose remove method
-         * @return {Object}       Q promise resolving to removed results
+         * Update a sub document of a document, validated against the sub document schema
+         * @param  {Object} id      document _id
+         * @param  {String} path    sub document array path, see config.getSubdocumentPaths
+         * @param  {Object} subId   sub document _id
+         * @param  {Object} updates fields of the sub document to change
+         * @return {Object}         Q promise resolving to the sub document updated, null when either document isn't found
          */
-        crud.remove = function (query) {
-            var deferred = Q.defer();
-            crud.Model.remove(query, function (error, removed) {
-                if (error) {
-                    deferred.reject(error);
-                } else {
-                    deferred.resolve(removed);
+        crud.updateSubdocument = function (id, path, subId, updates) {
+            return Q.fcall(function () {
+                var schema = subdocumentSchema(path, 'writable'),
+                    hook = {
+                        operation: 'updateSubdocument',
+                        id: id,
+                        path: path,
+                        subId: subId,
+                        updates: writableDocument(updates, path)
+                    };
+
+                return changeSubdocuments(hook, function (subdocuments) {
+                    var subdocument = subdocuments.id(hook.subId);
+
+                    validDocument(hook.updates, true, schema);
+                    if (subdocument) {
+                        subdocument.set(_.omit(hook.updates, '_id'));
+                    }
+                    return subdocument;
+                });
+            });
+        };
+
+        /**
+         * Remove a sub document of a document
+         * @param  {Object} id    document _id
+         * @param  {String} path  sub document array path, see config.getSubdocumentPaths
+         * @param  {Object} subId sub document _id
+         * @return {Object}       Q promise resolving to the sub document removed, null when either document isn't found
+         */
+        crud.removeSubdocument = function (id, path, subId) {
+            return Q.fcall(function () {
+                var hook = {
+                    operation: 'removeSubdocument',
+                    id: id,
+                    path: path,
+                    subId: subId
+                };
+
+                subdocumentSchema(path, 'writable');
+                return changeSubdocuments(hook, function (subdocuments) {
+                    var subdocument = subdocuments.id(hook.subId);
+
+                    if (subdocument) {
+                        subdocument.remove();
+                    }
+                    return subdocument;
+                });
+            });
+        };
+
+        /**
+         * Update the references of a document held in an array of references with crud.updateMany
+         * @param  {String} operator $addToSet or $pull
+         * @param  {Object} id       document _id
+         * @param  {String} path     path of the array of references
+         * @param  {Object} refId    _id of the document referenced
+         * @return {Object}          Q promise resolving to { matched, modified, deleted } counts, throws a 400 error for other paths
+         */
+        function updateReferences(operator, id, path, refId) {
+            return Q.fcall(function () {
+                var schemaType = crud.Model.schema.path(path),
+                    updates = {};
+
+                if (!schemaType || !schemaType.caster || !getReference(schemaType)) {
+                    throw createError(400, 'Unable to link ' + path + ', it isn\'t an array of references');
                 }
+                updates[operator] = {};
+                updates[operator][path] = refId;
+                return crud.updateMany({ _id: id }, updates);
             });
-            return deferred.promise;
+        }
+
+        /**
+         * Add a reference to an array of references of a document, references already held aren't added twice
+         * @param  {Object} id    document _id
+         * @param  {String} path  path of the array of references
+         * @param  {Object} refId _id of the document referenced
+         * @return {Object}       Q promise resolving to { matched, modified, deleted } counts
+         */
+        crud.link = function (id, path, refId) {
+            return updateReferences('$addToSet', id, path, refId);
         };
 
         /**
-         * Remove alias
-         * @type {Object}
+         * Remove a reference from an array of references of a document
+         * @param  {Object} id    document _id
+         * @param  {String} path  path of the array of references
+         * @param  {Object} refId _id of the document referenced
+         * @return {Object}       Q promise resolving to { matched, modified, deleted } counts
          */
-        crud.delete = crud.remove;
+        crud.unlink = function (id, path, refId) {
+            return updateReferences('$pull', id, path, refId);
+        };
 
         /**
          * Count documents in mongodb collection based on query using Mongoose count method
@@ -435,16 +4124,16 @@ exports.config = {
          * @return {Object}       Q promise resolving to count results
          */
         crud.count = function (query) {
-            var deferred = Q.defer();
-            query = query || {};
-            crud.Model.count(query, function (error, count) {
-                if (error) {
-                    deferred.reject(error);
-                } else {
-                    deferred.resolve(count);
-                }
+            var hook = {
+                operation: 'count',
+                query: query || {}
+            };
+
+            return perform(hook, function (scope) {
+                var deferred = Q.defer();
+                crud.Model.count(scopeQuery(config.checkQuery(hook.query), scope), settle(deferred));
+                return deferred.promise;
             });
-            return deferred.promise;
         };
 
         /**
@@ -454,17 +4143,17 @@ exports.config = {
          * @return {Object}        Q promise resolving to distinct results
          */
         crud.distinct = function (select, query) {
-            var deferred = Q.defer();
-            select = select || '';
-            query = query || {};
-            crud.Model.distinct(select, query, function (error, distinct) {
-                if (error) {
-                    deferred.reject(error);
-                } else {
-                    deferred.resolve(distinct);
-                }
+            var hook = {
+                operation: 'distinct',
+                select: select || '',
+                query: query || {}
+            };
+
+            return perform(hook, function (scope) {
+                var deferred = Q.defer();
+                crud.Model.distinct(hook.select, scopeQuery(config.checkQuery(hook.query), scope), settle(deferred));
+                return deferred.promise;
             });
-            return deferred.promise;
         };
 
         /**
@@ -473,46 +4162,127 @@ exports.config = {
          * @return {Object}       Q promise resolving to group resutls
          */
         crud.group = function (group) {
-            var deferred = Q.defer();
-            crud.Model.aggregate({'$group': group}, function (error, group) {
-                if (error) {
-                    deferred.reject(error);
-                } else {
-                    deferred.resolve(group);
-                }
+            var hook = {
+                operation: 'group',
+                group: group
+            };
+
+            return perform(hook, function (scope) {
+                var deferred = Q.defer();
+                crud.Model.aggregate(scopePipeline([{'$group': hook.group}], scope), settle(deferred));
+                return deferred.promise;
             });
-            return deferred.promise;
         };
 
         /**
          * Aggregate query
-         * @param  {Object} aggregate aggregate query for mongoose
+         * @param  {Object|Array} aggregate aggregate pipeline (or single stage) for mongoose
          * @return {Ojbect}           Q promise resolving to aggregate results
          */
         crud.aggregate = function (aggregate) {
-            var deferred = Q.defer();
-            crud.Model.aggregate(aggregate, function (error, aggregate) {
-                if (error) {
-                    deferred.reject(error);
-                } else {
-                    deferred.resolve(aggregate);
+            var hook = {
+                operation: 'aggregate',
+                pipeline: aggregate
+            };
+
+            return perform(hook, function (scope) {
+                var deferred = Q.defer(),
+                    pipeline = scopePipeline(config.checkPipeline(hook.pipeline), scope);
+
+                if (!config.aggregateMaxTimeMS) {
+                    crud.Model.aggregate(pipeline, settle(deferred));
+                    return deferred.promise;
+                }
+
+                // the time budget isn't passed on by Model.aggregate, run the aggregate command itself
+                crud.Model.db.db.command({
+                    aggregate: crud.Model.collection.name,
+                    pipeline: pipeline,
+                    maxTimeMS: config.aggregateMaxTimeMS
+                }, function (error, result) {
+                    if (!error && result && !result.ok) {
+                        error = _.extend(new Error(result.errmsg || 'Aggregation failed'), { code: result.code });
+                    }
+                    settle(deferred)(error, result && result.result);
+                });
+                return deferred.promise;
+            });
+        };
+
+        /**
+         * Run a count, distinct, group or aggregate query from client supplied parameters as served by REST
+         * and web sockets. JSON encoded parameters are decoded, query keys are limited to queryable fields
+         * and expressions referencing fields hidden from the calling context are rejected
+         * @param  {String} aggregation one of count, distinct, group or aggregate
+         * @param  {Object} params      query (count and distinct), select (distinct), group or aggregate parameters
+         * @return {Object}             Q promise resolving to the results keyed by aggregation eg. { count: 5 }
+         */
+        crud.runAggregation = function (aggregation, params) {
+            return Q.fcall(function () {
+                var principal = crud.context.user,
+                    queryable = config.getPermittedFields(fields, 'queryable', principal),
+                    hidden,
+                    run;
+
+                // JSON.stringify() should be used when building query parameters
+                params = _.object(_.keys(params || {}), _.map(params || {}, function (param) {
+                    try {
+                        return (_.isString(param)) ? JSON.parse(param) : param;
+                    } catch (e) {
+                        return param;
+                    }
+                }));
+
+                // field references within expressions aren't keys, make sure none point at hidden fields
+                hidden = _.filter(getFieldReferences([params.select && '$' + params.select, params.group, params.aggregate]),
+                    function (field) {
+                        return !config.isFieldPermitted(field, 'readable', principal);
+                    });
+                if (hidden.length) {
+                    throw createError(403, 'Not permitted to read fields: ' + _.uniq(hidden).join(', '));
+                }
+
+                switch (aggregation) {
+                case 'count':
+                    run = crud.count(combineQueries(config.buildQueryFromParams(params.query, queryable, '', crud.Model.schema),
+                        config.buildFilterQuery(params.filter, queryable, crud.Model.schema)));
+                    break;
+                case 'distinct':
+                    run = crud.distinct(params.select, combineQueries(config.buildQueryFromParams(params.query, queryable, '', crud.Model.schema),
+                        config.buildFilterQuery(params.filter, queryable, crud.Model.schema)));
+                    break;
+                case 'group':
+                    run = crud.group(config.buildQueryFromParams(params.group, queryable));
+                    break;
+                case 'aggregate':
+                    run = crud.aggregate(config.buildQueryFromParams(params.aggregate, queryable));
+                    break;
+                default:
+                    throw createError(400, 'Unsupported aggregation: ' + aggregation);
                 }
+
+                return run.then(function (results) {
+                    return _.object([aggregation], [results]);
+                });
             });
-            return deferred.promise;
         };
 
         /**
-         * Build collection meta data to send back with REST response
+         * Build collection meta data to send back with REST response, documents are counted unless
+         * disabled by config.queryCount or the count=false parameter
          * @param  {String} path   Route path currently in use
          * @param  {Object} params http req.query parameters
          * @param  {Object} query  query used in Mongoose find
+         * @param  {Array}  [documents] documents found, links of cursor pagination are built from their cursor
          * @return {Object}        Q promise resolving to collection meta data
          */
-        crud.buildResultsMeta = function (path, params, query) {
+        crud.buildResultsMeta = function (path, params, query, documents) {
             var deferred = Q.defer(),
                 limit = parseInt(params.limit || config.queryLimit, 10),
                 offset = parseInt(params.offset || config.queryOffset, 10),
                 page = parseInt(params.page || 1, 10),
+                cursor = documents && documents.cursor,
+                counted = config.queryCount && String(params.count) !== 'false',
                 meta = {
                     documents: 0,
                     pages: 0,
@@ -526,30 +4296,64 @@ exports.config = {
                     }
                 };
 
-            var first = _.extend({}, params); // clone params
-            first.page = 1;
-            meta.links.first = (path) ? path + '?' + querystring.stringify(first) : first;
+            /**
+             * Link to the results with some of the current parameters changed
+             * @param  {Object} changes parameters to change, undefined values are removed
+             * @return {String|Object}  link, the parameters themselves when no path is in use
+             */
+            function link(changes) {
+                var linked = _.extend({}, params, changes); // clone params
+                _.each(changes, function (value, key) {
+                    if (_.isUndefined(value)) {
+                        delete linked[key];
+                    }
+                });
+                return (path) ? path + '?' + querystring.stringify(linked) : linked;
+            }
+
+            if (cursor) {
+                delete meta.pages;
+                delete meta.offset;
+                meta.links.first = link({ page: undefined, before: undefined, after: '' });
+                meta.links.last = link({ page: undefined, after: undefined, before: '' });
+                if (cursor.prev) {
+                    meta.links.prev = link({ page: undefined, after: undefined, before: cursor.prev });
+                }
+                if (cursor.next) {
+                    meta.links.next = link({ page: undefined, before: undefined, after: cursor.next });
+                }
+            } else {
+                meta.links.first = link({ page: 1 });
+                if (page > 1) {
+                    meta.links.prev = link({ page: page - 1 });
+                }
+            }
 
-            if (page > 1) {
-                var previous = _.extend({}, params); // clone params
-                previous.page = page - 1;
-                meta.links.prev = (path) ? path + '?' + querystring.stringify(previous) : previous;
+            if (!counted) {
+                meta.documents = null;
+                if (!cursor) {
+                    meta.pages = null;
+                    if (limit > 0 && documents && documents.length >= limit) {
+                        meta.links.next = link({ page: page + 1 });
+                    }
+                }
+                deferred.resolve(meta);
+                return deferred.promise;
             }
 
             crud.count(query).then(
                 function onFulfilled(count) {
                     meta.documents = count;
+                    if (cursor) {
+                        return deferred.resolve(meta);
+                    }
+
                     meta.pages = (count && limit > 0) ? Math.ceil(count / limit) : 1;
 
                     if (limit > 0 && count > (page * limit)) {
-                        var next = _.extend({}, params); // clone params
-                        next.page = page + 1;
-                        meta.links.next = (path) ? path + '?' + querystring.stringify(next) : next;
+                        meta.links.next = link({ page: page + 1 });
                     }
-
-                    var last = _.extend({}, params); // clone params
-                    last.page = meta.pages;
-                    meta.links.last = (path) ? path + '?' + querystring.stringify(last) : last;
+                    meta.links.last = link({ page: meta.pages });
 
                     deferred.resolve(meta);
                 },
@@ -566,194 +4370,615 @@ exports.config = {
 };
 
 /**
- * Abstracted socket events mapped to CRUD methods
- * @param  {string} model      descriptor of collection model
- * @param  {object} socket     socket.io web socket connection
- * @param  {object} crud       CRUD wrapper instantiated with mongojs collection
- * @return {object}            CRUD socket object
+ * Build the socket event listeners of a Model once so they can be connected to any number of sockets,
+ * socket.io calls listeners with the socket as this so no state is kept per connection. Subscriptions
+ * are kept in rooms named after the collection, and after the subscription when the subscribed documents
+ * are filtered, which are emitted to through the socket.io namespace when one is supplied
+ * @param  {Object} Model       mongoose Model
+ * @param  {Object} config      config layered over exports.config
+ * @param  {Object} [namespace] socket.io namespace the sockets connect to
+ * @return {Object}             socket listeners
  */
-exports.serveSockets = function (socket, Model, config) {
+function createSocketListeners(Model, config, namespace) {
+    var name = config.name || Model.collection.name,
+        prefix = 'api.' + name + '.',
+        fields = _.union(config.getSchemaFields(Model.schema), config.getVirtualFields(Model.schema)),
+        listeners = {},
+        rooms = {};
+
+    /**
+     * Build the reply to a socket event. Replies go to the acknowledgement callback as (error, response)
+     * when the client supplied one and are emitted as the .response or .error event otherwise,
+     * a requestId sent with the params is echoed back in either case
+     * @param  {Object}   socket socket.io web socket connection
+     * @param  {String}   event  socket event name eg. save
+     * @param  {Object}   params event params
+     * @param  {Function} [ack]  acknowledgement callback
+     * @return {Object}          reply with send(response) and error(error) methods
+     */
+    function createReply(socket, event, params, ack) {
+        var requestId = (params || {}).requestId;
+
+        function withRequestId(payload) {
+            return (_.isUndefined(requestId)) ? payload : _.extend({ requestId: requestId }, payload);
+        }
+
+        return {
+            send: function (response) {
+                if (ack) {
+                    ack(null, withRequestId(response));
+                } else {
+                    socket.emit(prefix + event + '.response', withRequestId(response));
+                }
+            },
+            error: function (error) {
+                if (ack) {
+                    ack(withRequestId(config.serializeError(error)));
+                } else {
+                    socket.emit(prefix + event + '.error', withRequestId(config.serializeError(error)));
+                }
+            }
+        };
+    }
+
+    /**
+     * Wrap socket event listener so it only runs once the socket principal
+     * is authorized for the operation, otherwise an error is replied as it is when the listener throws.
+     * The listener receives the event params, a CRUD wrapper scoped to the socket principal,
+     * the reply (see createReply) and the socket
+     * @param  {String} operation one of create, read, update, delete or aggregate
+     * @param  {String} event     socket event name eg. save
+     * @param  {Function} listener socket event listener
+     * @return {Function}          authorized socket event listener
+     */
+    function authorizeSocket(operation, event, listener) {
+        return function authorizedListener(params, ack) {
+            var socket = this,
+                reply;
+
+            if (_.isFunction(params)) {
+                ack = params;
+                params = {};
+            }
+            reply = createReply(socket, event, params, (_.isFunction(ack)) ? ack : null);
+            return config.authenticateSocket(socket).then(function (principal) {
+                return config.authorize(principal, name, operation);
+            }).then(function () {
+                return listener(params || {}, config.crud(Model, { user: socket.user, socket: socket }), reply, socket);
+            }).fail(function (error) {
+                // authorization failures and malformed parameters
+                reply.error(error);
+            });
+        };
+    }
+
+    /**
+     * Fields the socket principal is permitted to query on
+     * @param  {Object} socket socket.io web socket connection
+     * @return {Array}         list of queryable fields
+     */
+    function queryableFields(socket) {
+        return config.getPermittedFields(fields, 'queryable', socket.user);
+    }
+
+    /**
+     * Emit an event to the sockets in a subscription room
+     * @param  {String} room    room name
+     * @param  {String} event   socket event name
+     * @param  {Object} payload event payload
+     */
+    function emitToRoom(room, event, payload) {
+        if (namespace) {
+            namespace.in(room).emit(event, payload);
+        } else {
+            _.each(rooms[room].sockets, function (socket) {
+                socket.emit(event, payload);
+            });
+        }
+    }
+
+    /**
+     * Change feed listener emitting changes of the collection to the matching subscription rooms
+     * @param  {Object} change change event, see exports.changes
+     */
+    function emitChange(change) {
+        if (change.Model.collection.name !== Model.collection.name) {
+            return;
+        }
 
-    config = _.extend(exports.config, config || {});
+        var document = (_.isFunction(change.document.toObject)) ? change.document.toObject() : change.document,
+            previous = (change.previous && _.isFunction(change.previous.toObject)) ? change.previous.toObject() : change.previous;
 
-    var collection = Model.collection,
-        fields = _.union(config.getSchemaFields(Model.schema), config.getVirtualFields(Model.schema)),
-        crud = config.crud(Model);
+        _.each(rooms, function (subscription, room) {
+            var matches = matchQuery(document, subscription.query);
 
-    var sockets = {};
+            if (!matches && !(previous && matchQuery(previous, subscription.query))) {
+                return;
+            }
+            // documents updated out of a subscription, possibly out of the subscriber's scope,
+            // are reported removed so their new contents aren't sent
+            if (change.type === 'removed' || !matches) {
+                emitToRoom(room, prefix + 'removed', {
+                    subscription: subscription.id,
+                    id: document._id
+                });
+            } else {
+                emitToRoom(room, prefix + change.type, config.hideFields({
+                    subscription: subscription.id,
+                    document: document
+                }, subscription.hidden));
+            }
+        });
+    }
 
     /**
-     * Descriptor of collection name used in events
-     * @type {string}
+     * Add a socket to a subscription room, listening to the change feed while there are rooms
+     * @param  {Object} socket       socket.io web socket connection
+     * @param  {String} room         room name
+     * @param  {Object} subscription subscription id, query and hidden fields of the room
      */
-    sockets.collection = collection.name;
+    function joinRoom(socket, room, subscription) {
+        if (_.isEmpty(rooms)) {
+            exports.changes.on('change', emitChange);
+        }
+        rooms[room] = rooms[room] || _.extend({ sockets: [] }, subscription);
+        if (!~_.indexOf(rooms[room].sockets, socket)) {
+            rooms[room].sockets.push(socket);
+            if (namespace) {
+                socket.join(room);
+            }
+        }
+        socket.subscriptions = socket.subscriptions || {};
+        socket.subscriptions[room] = subscription.id;
+    }
 
     /**
-     * CRUD wrapper instantiated with mongojs collection
-     * @type {object}
+     * Remove a socket from a subscription room, rooms left empty are dropped
+     * @param  {Object} socket socket.io web socket connection
+     * @param  {String} room   room name
      */
-    sockets.crud = crud;
+    function leaveRoom(socket, room) {
+        if (!rooms[room]) {
+            return;
+        }
+        rooms[room].sockets = _.without(rooms[room].sockets, socket);
+        delete socket.subscriptions[room];
+        if (namespace) {
+            socket.leave(room);
+        }
+        if (!rooms[room].sockets.length) {
+            delete rooms[room];
+        }
+        if (_.isEmpty(rooms)) {
+            exports.changes.removeListener('change', emitChange);
+        }
+    }
 
     /**
-     * socket.io socket connection
-     * @type {object}
+     * Create document in Model collection from data sent to socket event listener
+     * @param  {Object} params Document to add to collection
+     * @param  {Object} crud   CRUD wrapper scoped to the socket principal
+     * @param  {Object} reply  reply to the event, see createReply
+     * @param  {Object} socket socket.io web socket connection
+     * @return {Object}        Q promise resolving to document save results
      */
-    sockets.socket = socket;
+    listeners[prefix + 'save'] = authorizeSocket('create', 'save', function saveDocument(params, crud, reply, socket) {
+        var document = config.buildQueryFromParams(params, fields, '', Model.schema);
+        return crud.save(document).then(
+            function onSaveFulfilled(document) {
+                reply.send(config.hideFields({
+                    message: 'Resource created',
+                    document: document
+                }, config.getHiddenFields(socket.user)));
+            },
+            function onSaveRejected(error) {
+                reply.error(error);
+            });
+    });
 
     /**
-     * Property instantiating save socket connection
-     * @type {object}
+     * Find document(s) in Model collection based on query parameters sent to socket event listener
+     * @param  {Object} params Query parameters
+     * @param  {Object} crud   CRUD wrapper scoped to the socket principal
+     * @param  {Object} reply  reply to the event, see createReply
+     * @param  {Object} socket socket.io web socket connection
+     * @return {Object}        Q promise resolving to document find results
      */
-    sockets.save = sockets.socket.on('api.' + sockets.collection + '.save',
-        /**
-         * Create document in Model collection from data sent to socket event listener
-         * @param  {Object} params Document to add to collection
-         * @return {Object}        Q promise resolving to document save results
-         */
-        function saveDocument(params) {
-            params = params || {};
-            var document = config.buildQueryFromParams(params, fields);
-            return sockets.crud.save(document).then(
-                function onSaveFulfilled(document) {
-                    sockets.socket.emit('api.' + sockets.collection + '.save.response', {
-                        message: 'Resource created',
-                        document: document
+    listeners[prefix + 'find'] = authorizeSocket('read', 'find', function findDocuments(params, crud, reply, socket) {
+        var query = combineQueries(config.buildQueryFromParams(_.extend({}, params), queryableFields(socket), '', Model.schema),
+            config.buildFilterQuery(params.filter, queryableFields(socket), Model.schema)),
+            limit = params.limit,
+            pageNum = params.page,
+            sort = params.sort,
+            projection = params.projection,
+            id = params.id || params._id;
+
+        if (id) {
+            query._id = id;
+        }
+
+        return crud.find(query, limit, sort, projection, pageNum, config.getCursor(params), params.expand).then(
+            function onFulfilled(found) {
+                var documents = { documents: found };
+                crud.buildResultsMeta(false, _.omit(params, 'requestId'), query, found).then(
+                    function onFulfilled(meta) {
+                        documents.meta = meta;
+                        reply.send(config.hideFields(documents, config.getHiddenFields(socket.user)));
                     });
-                },
-                function onSaveRejected(error) {
-                    sockets.socket.emit('api.' + sockets.collection + '.save.error', {
-                        message: error
+            },
+            function onRejected(error) {
+                reply.error(error);
+            });
+    });
+
+    /**
+     * Search documents in Model collection for the words of the q parameter sent to socket event listener,
+     * other parameters narrow the search down as they do when finding documents
+     * @param  {Object} params Search parameters
+     * @param  {Object} crud   CRUD wrapper scoped to the socket principal
+     * @param  {Object} reply  reply to the event, see createReply
+     * @param  {Object} socket socket.io web socket connection
+     * @return {Object}        Q promise resolving to document search results
+     */
+    listeners[prefix + 'search'] = authorizeSocket('read', 'search', function searchDocuments(params, crud, reply, socket) {
+        var query = combineQueries(config.buildQueryFromParams(_.omit(params, 'q'), queryableFields(socket), '', Model.schema),
+            config.buildFilterQuery(params.filter, queryableFields(socket), Model.schema));
+
+        return crud.search(params.q, query, params.limit, params.sort, params.projection, params.page).then(
+            function onFulfilled(found) {
+                var documents = { documents: found };
+                crud.buildResultsMeta(false, _.omit(params, 'requestId'), crud.buildSearchQuery(params.q, query), found).then(
+                    function onFulfilled(meta) {
+                        documents.meta = meta;
+                        reply.send(config.hideFields(documents, config.getHiddenFields(socket.user)));
                     });
-                });
-        });
+            },
+            function onRejected(error) {
+                reply.error(error);
+            });
+    });
 
     /**
-     * Property instantiating find socket connection
-     * @type {object}
+     * Update documents in Model collection based on query parameters sent to socket event listener. A document
+     * updated by id is replied with, an update of the documents matching the _query parameters with counts
+     * @param  {Object} params Object containing id or _query, document updates and an optional projection
+     * @param  {Object} crud   CRUD wrapper scoped to the socket principal
+     * @param  {Object} reply  reply to the event, see createReply
+     * @param  {Object} socket socket.io web socket connection
+     * @return {Object}        Q promise resolving to document update results
      */
-    sockets.find = sockets.socket.on('api.' + sockets.collection + '.find',
-        /**
-         * Find document(s) in Model collection based on query parameters sent to socket event listener
-         * @param  {Object} params Query parameters
-         * @return {Object}        Q promise resolving to document find results
-         */
-        function findDocuments(params) {
-            params = params || {};
-            var query = config.buildQueryFromParams(_.extend({}, params), fields),
-                limit = params.limit,
-                pageNum = params.page,
-                sort = params.sort,
-                projection = params.projection,
-                id = params.id || params._id;
+    listeners[prefix + 'update'] = authorizeSocket('update', 'update', function updateDocument(params, crud, reply, socket) {
+        var query = config.buildQueryFromParams(_.extend({}, params._query), queryableFields(socket), '', Model.schema),
+            document = config.buildQueryFromParams(_.omit(params, '_query', 'projection', 'id', '_id'), fields, '', Model.schema),
+            id = params.id || params._id;
 
-            if (id) {
-                query._id = id;
+        if (_.isEmpty(query)) {
+            if (!id) {
+                throw createError(400, 'Updates need an id or a _query matching the documents to update');
             }
-
-            return sockets.crud.find(query, limit, sort, projection, pageNum).then(
-                function onFulfilled(documents) {
-                    documents = { documents: documents };
-                    sockets.crud.buildResultsMeta(false, params, query).then(
-                        function onFulfilled(meta) {
-                            documents.meta = meta;
-                            sockets.socket.emit('api.' + sockets.collection + '.find.response', documents);
+            return crud.findByIdAndUpdate(id, document, params.projection).then(
+                function onFulfilled(updated) {
+                    if (updated) {
+                        reply.send({
+                            message: 'Resource updated',
+                            document: config.hideFields(updated, config.getHiddenFields(socket.user))
+                        });
+                    } else {
+                        reply.send({
+                            message: 'Resource not found'
                         });
+                    }
                 },
                 function onRejected(error) {
-                    sockets.socket.emit('api.' + sockets.collection + '.find.error', {
-                        message: error
-                    });
+                    reply.error(error);
                 });
-        });
+        }
+
+        return crud.updateMany(query, document).then(
+            function onFulfilled(counts) {
+                reply.send(_.extend({
+                    message: (counts.matched) ? 'Resources updated' : 'Resources not found'
+                }, counts));
+            },
+            function onRejected(error) {
+                reply.error(error);
+            });
+    });
 
     /**
-     * Property instantiating update socket connection
-     * @type {object}
+     * Delete documents from Model collection matching query parameters sent to socket event listener. A document
+     * deleted by id is replied with, a deletion of the documents matching the query with counts
+     * @param  {Object} params Query parameters, id and an optional projection
+     * @param  {Object} crud   CRUD wrapper scoped to the socket principal
+     * @param  {Object} reply  reply to the event, see createReply
+     * @param  {Object} socket socket.io web socket connection
+     * @return {Object}        Q promise resolving to document remove results
      */
-    sockets.update = sockets.socket.on('api.' + sockets.collection + '.update',
-        /**
-         * Update document in Model collection based on query parameters sent to socket event listener
-         * @param  {Object} params Object containing id and document updates
-         * @return {Object}        Q promise resolving to document update results
-         */
-        function updateDocument(params) {
-            params = params || {};
-            var document = config.buildQueryFromParams(_.extend({}, params), fields),
-                query = config.buildQueryFromParams(_.extend({}, params._query), fields),
-                id = params.id || params._id;
-
-            if (_.isEmpty(query)) {
-                query = { _id: id };
-            }
+    listeners[prefix + 'delete'] = authorizeSocket('delete', 'delete', function deleteDocuments(params, crud, reply, socket) {
+        var query = config.buildQueryFromParams(_.omit(params, 'projection', 'id', '_id'), queryableFields(socket), '', Model.schema),
+            id = params.id || params._id;
 
-            return crud.update(query, document).then(
-                function onFulfilled(update) {
-                    if (update) {
-                        sockets.socket.emit('api.' + sockets.collection + '.update.response', {
-                            message: 'Resources updated',
-                            update: update
+        if (id) {
+            query._id = id;
+            return crud.findOneAndRemove(query, params.projection).then(
+                function onFulfilled(removed) {
+                    if (removed) {
+                        reply.send({
+                            message: 'Resource deleted',
+                            document: config.hideFields(removed, config.getHiddenFields(socket.user))
                         });
                     } else {
-                        sockets.socket.emit('api.' + sockets.collection + '.update.response', {
+                        reply.send({
                             message: 'Resource not found'
                         });
                     }
                 },
                 function onRejected(error) {
-                    sockets.socket.emit('api.' + sockets.collection + '.update.error', {
-                        message: error
-                    });
+                    reply.error(error);
                 });
+        }
+
+        return crud.removeMany(query).then(
+            function onFulfilled(counts) {
+                reply.send(_.extend({
+                    message: 'Resources deleted'
+                }, counts));
+            },
+            function onRejected(error) {
+                reply.error(error);
+            });
+    });
+
+    /**
+     * Run count, distinct, group and aggregate queries based on parameters sent to socket event listeners,
+     * the parameters are the same as those of the REST aggregation route, see crud.runAggregation
+     * @param  {Object} params Aggregation parameters
+     * @param  {Object} crud   CRUD wrapper scoped to the socket principal
+     * @param  {Object} reply  reply to the event, see createReply
+     * @return {Object}        Q promise resolving to the aggregation results
+     */
+    _.each(['count', 'distinct', 'group', 'aggregate'], function (aggregation) {
+        listeners[prefix + aggregation] = authorizeSocket('aggregate', aggregation, function runAggregation(params, crud, reply) {
+            return crud.runAggregation(aggregation, _.omit(params, 'requestId')).then(reply.send, reply.error);
+        });
+    });
+
+    /**
+     * Subscribe to documents of the Model collection matching the query parameters sent to socket event listener,
+     * matching documents are emitted with the created, updated and removed events as they change. Sockets
+     * subscribing with the same query, scope and hidden fields share a room
+     * @param  {Object} params Query parameters, may include a subscription id
+     * @param  {Object} crud   CRUD wrapper scoped to the socket principal
+     * @param  {Object} reply  reply to the event, see createReply
+     * @param  {Object} socket socket.io web socket connection
+     * @return {Object}        Q promise resolving once subscribed
+     */
+    listeners[prefix + 'subscribe'] = authorizeSocket('read', 'subscribe', function subscribe(params, crud, reply, socket) {
+        var query = config.buildQueryFromParams(_.omit(params, 'subscription'), queryableFields(socket), '', Model.schema),
+            hidden = config.getHiddenFields(socket.user);
+
+        return crud.getScope().then(function (scope) {
+            var conditions = Model.find(scopeQuery(config.checkQuery(query), scope)).cast(Model),
+                key = JSON.stringify([params.subscription || null, conditions, hidden], function (key, value) {
+                    return (_.isRegExp(value)) ? String(value) : value;
+                }),
+                hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16),
+                id = params.subscription || hash,
+                filtered = !_.isEmpty(conditions) || hidden.length || params.subscription;
+
+            joinRoom(socket, (filtered) ? prefix + hash : 'api.' + name, {
+                id: id,
+                query: conditions,
+                hidden: hidden
+            });
+            reply.send({
+                message: 'Subscribed',
+                subscription: id
+            });
+        }).fail(function (error) {
+            reply.error(error);
         });
+    });
 
     /**
-     * Property instantiating delete socket connection
-     * @type {object}
+     * Cancel a subscription of the socket, all subscriptions to the Model collection when no id is sent
+     * @param  {Object}   params Object containing the subscription id
+     * @param  {Function} [ack]  acknowledgement callback
      */
-    sockets.delete = sockets.socket.on('api.' + sockets.collection + '.delete',
-        function deleteDocuments(params) {
-            params = params || {};
-            var query = config.buildQueryFromParams(_.extend({}, params), fields),
-                id = params.id || params._id;
-            // add _id back in where appropriate
-            if (id) {
-                query._id = id;
+    listeners[prefix + 'unsubscribe'] = function unsubscribe(params, ack) {
+        var socket = this,
+            reply,
+            id;
+
+        if (_.isFunction(params)) {
+            ack = params;
+            params = {};
+        }
+        reply = createReply(socket, 'unsubscribe', params, (_.isFunction(ack)) ? ack : null);
+        id = (params || {}).subscription;
+
+        _.each(socket.subscriptions, function (subscription, room) {
+            if (_.has(rooms, room) && (!id || subscription === id)) {
+                leaveRoom(socket, room);
             }
-            return crud.remove(query).then(
-                function onFulfilled(removed) {
-                    sockets.socket.emit('api.' + sockets.collection + '.update.response', {
-                        message: 'Resources deleted',
-                        removed: removed
-                    });
-                },
-                function onRejected(error) {
-                    sockets.socket.emit('api.' + sockets.collection + '.update.response', {
-                        message: error
-                    });
-                });
         });
+        reply.send({
+            message: 'Unsubscribed',
+            subscription: id
+        });
+    };
+
+    /**
+     * Leave the subscription rooms of the Model collection once the socket disconnects
+     */
+    listeners.disconnect = function disconnect() {
+        var socket = this;
+
+        _.each(socket.subscriptions, function (subscription, room) {
+            leaveRoom(socket, room);
+        });
+    };
+
+    return {
+        /**
+         * Descriptor of collection name used in events
+         * @type {String}
+         */
+        collection: name,
+
+        /**
+         * socket event listeners keyed by event name
+         * @type {Object}
+         */
+        listeners: listeners,
+
+        /**
+         * subscription rooms keyed by room name
+         * @type {Object}
+         */
+        rooms: rooms,
+
+        /**
+         * Connect the listeners to a socket
+         * @param  {Object} socket socket.io web socket connection
+         * @return {Object}        CRUD socket object
+         */
+        connect: function (socket) {
+            var sockets = {
+                collection: name,
+                crud: config.crud(Model),
+                socket: socket
+            };
 
-    return sockets;
+            _.each(listeners, function (listener, event) {
+                sockets[event.replace(prefix, '')] = socket.on(event, listener);
+            });
+            return sockets;
+        }
+    };
+}
 
+/**
+ * Abstracted socket events mapped to CRUD methods
+ * @param  {object} socket     socket.io web socket connection
+ * @param  {object} Model      mongoose Model
+ * @param  {object} [config]   configuration options layered over exports.config
+ * @return {object}            CRUD socket object
+ */
+exports.serveSockets = function (socket, Model, config) {
+    return createSocketListeners(Model, layerConfig(exports.config, config)).connect(socket);
 };
 
 exports.serveRoutes = function (app, Model, config) {
 
-    config = _.extend(exports.config, config || {});
+    config = layerConfig(exports.config, config);
 
-    var collection = Model.collection,
-        routePath = config.baseURL + collection.name,
+    var name = config.name || Model.collection.name,
+        routePath = config.baseURL + name,
         idRoutePath = routePath + '/:id',
         aggregationRoutePath = routePath + '/:aggregation',
         projectionRoutePath = idRoutePath + '/:projection',
         fields = _.union(config.getSchemaFields(Model.schema), config.getVirtualFields(Model.schema)),
-        crud = config.crud(Model);
+        authenticateUser = _.bind(config.authenticateUser, config),
+        aggregations = ['count', 'distinct', 'group', 'aggregate'];
+
+    /**
+     * Build route handler enforcing the authorization policy for an operation on this collection
+     * @param  {String} operation one of create, read, update, delete or aggregate
+     * @return {Function}         express route handler
+     */
+    function authorizeUser(operation) {
+        return config.authorizeUser(name, operation);
+    }
+
+    /**
+     * CRUD wrapper scoped to the calling context of a request
+     * @param  {Object} req http request object
+     * @return {Object}     CRUD wrapper
+     */
+    function requestCrud(req) {
+        return config.crud(Model, { user: req.user, req: req });
+    }
+
+    /**
+     * Fields the request principal is permitted to query on
+     * @param  {Object} req http request object
+     * @return {Array}      list of queryable fields
+     */
+    function queryableFields(req) {
+        return config.getPermittedFields(fields, 'queryable', req.user);
+    }
+
+    /**
+     * Fields hidden from the request principal
+     * @param  {Object} req http request object
+     * @return {Array}      list of hidden fields
+     */
+    function hiddenFields(req) {
+        return config.getHiddenFields(req.user);
+    }
+
+    /**
+     * Projection of the document a request responds with, from a projection query parameter
+     * such as ?projection=name,email, only fields readable by the request principal are kept
+     * @param  {Object} req http request object
+     * @return {Object}     projection object, empty when there is no projection parameter
+     */
+    function requestProjection(req) {
+        if (!req.query || !_.isString(req.query.projection)) {
+            return {};
+        }
+        return config.buildProjectionFromString(req.query.projection, config.getPermittedFields(fields, 'readable', req.user));
+    }
+
+    /**
+     * Serve errors thrown by route handlers, such as parameters that can't be coerced to the type of their field
+     * @param  {Object}   error error thrown
+     * @param  {Object}   req   http request object
+     * @param  {Object}   res   http response object
+     * @param  {Function} next  http function moving to the next error handler
+     * @return {Object}         JSON response message passed to config.serveJson
+     */
+    function serveThrown(error, req, res, next) {
+        if (res.headersSent) {
+            return next(error);
+        }
+        return config.serveError(res, error);
+    }
+
+    /**
+     * Read the JSON body of a request left alone by the body parser, such as the patch of a PATCH request
+     * @param  {Object} req http request object
+     * @return {Object}     Q promise resolving to the parsed body, rejected with a 400 error for invalid JSON
+     */
+    function readJsonBody(req) {
+        var deferred = Q.defer(),
+            body = '';
+
+        if (req._body || !req.readable) {
+            deferred.resolve(req.body);
+            return deferred.promise;
+        }
+        req.setEncoding('utf8');
+        req.on('data', function (chunk) {
+            body += chunk;
+        });
+        req.on('end', function () {
+            try {
+                deferred.resolve(JSON.parse(body));
+            } catch (error) {
+                deferred.reject(createError(400, 'Unable to parse body as JSON'));
+            }
+        });
+        return deferred.promise;
+    }
 
     console.log('\nSetting up route handlers...');
     console.log('\tPOST \t->', routePath);
     // POST create dcoument
     app.post(routePath,
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('create'),
         /**
          * Create document in Model collection from data POSTed to routePath,
          * also factors url parameters as part of the document
@@ -762,12 +4987,13 @@ exports.serveRoutes = function (app, Model, config) {
          * @return {Object}        Q promise resolving to create method response
          */
         function createDocument(req, res) {
+            var crud = requestCrud(req);
             // req.body expected to be of the following content types for bodyParser to work:
             // application/json, application/x-www-form-encoded or multipart/form-data
             //
             // we will also accept URL parameters and include them into the mix
             var params = _.extend(req.query || {}, req.body || {});
-            var document = config.buildQueryFromParams(params, fields);
+            var document = config.buildQueryFromParams(params, fields, '', Model.schema);
 
             var create = crud.create(document);
             create.then(
@@ -775,18 +5001,20 @@ exports.serveRoutes = function (app, Model, config) {
                     config.serveJson(res, 201, {
                         message: 'Resource created',
                         document: document
-                    });
+                    }, hiddenFields(req));
                 },
                 function onRejected(error) {
                     config.serveError(res, error);
                 });
             return create;
-        });
+        },
+        serveThrown);
 
     console.log('\tGET \t->', routePath);
     // GET find document(s)
     app.get(routePath,
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('read'),
         /**
          * Get all documents in Model collection matching basic query parameters, if none supplied all
          * documents are returend. complex query parameters are not supported eg.
@@ -795,6 +5023,7 @@ exports.serveRoutes = function (app, Model, config) {
          * @return {Object}        Q promise resolving to find method response
          */
         function findDocuments(req, res) {
+            var crud = requestCrud(req);
             // TODO: Apply this sort of logic in other areas or wrap as helper method
             try {
                 if (req.query._query) {
@@ -804,37 +5033,38 @@ exports.serveRoutes = function (app, Model, config) {
                     delete req.query._query;
                 }
             } catch (error) {
-                config.serveError(res, {
-                    message: 'Unable to parse query string as JSON'
-                });
+                return config.serveError(res, createError(400, 'Unable to parse query string as JSON'));
             }
 
             var params =  _.extend({}, req.query || {}),
-                query = config.buildQueryFromParams(params, fields),
+                query = combineQueries(config.buildQueryFromParams(params, queryableFields(req), '', Model.schema),
+                    config.buildFilterQuery(req.query.filter, queryableFields(req), Model.schema)),
                 limit = req.query.limit,
                 pageNum = req.query.page,
                 sort = req.query.sort;
 
-            var find = crud.find(query, limit, sort, {}, pageNum);
+            var find = crud.find(query, limit, sort, {}, pageNum, config.getCursor(req.query), req.query.expand);
             find.then(
-                function onFulfilled(documents) {
-                    documents = { documents: documents };
-                    crud.buildResultsMeta(req.route.path, req.query, query).then(
+                function onFulfilled(found) {
+                    var documents = { documents: found };
+                    crud.buildResultsMeta(req.route.path, req.query, query, found).then(
                         function onFulfilled(meta) {
                             documents.meta = meta;
-                            config.serveJson(res, 200, documents);
+                            config.serveJson(res, 200, documents, hiddenFields(req));
                         });
                 },
                 function onRejected(error) {
                     config.serveError(res, error);
                 });
             return find;
-        });
+        },
+        serveThrown);
 
     console.log('\tPUT \t->', routePath);
     // PUT update without id, not permitted for now
     app.put(routePath,
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('update'),
         /**
          * Update PUT document(s) in Model collection
          * @param  {Object} req http request object
@@ -842,37 +5072,33 @@ exports.serveRoutes = function (app, Model, config) {
          * @return {Object}     JSON response message passed to config.serveJson
          */
         function updateDocuments(req, res) {
+            var crud = requestCrud(req);
             // req.body expected to be of the following content types for bodyParser to work:
             // application/json, application/x-www-form-encoded or multipart/form-data
             //
             // we will also accept URL parameters and include them into the mix
-            var query = config.buildQueryFromParams(_.extend({}, req.query || {}), fields);
-            var document = config.buildQueryFromParams(_.extend({}, req.body || {}), fields);
+            var query = config.buildQueryFromParams(_.extend({}, req.query || {}), queryableFields(req), '', Model.schema);
+            var document = config.buildQueryFromParams(_.extend({}, req.body || {}), fields, '', Model.schema);
 
-            var update = crud.update(query, document);
+            var update = crud.updateMany(query, document);
             update.then(
-                function onFulfilled(update) {
-                    if (update) {
-                        config.serveJson(res, 200, {
-                            message: 'Resources updated',
-                            update: update
-                        });
-                    } else {
-                        config.serveJson(res, 404, {
-                            message: 'Resources not found'
-                        });
-                    }
+                function onFulfilled(counts) {
+                    config.serveJson(res, (counts.matched) ? 200 : 404, _.extend({
+                        message: (counts.matched) ? 'Resources updated' : 'Resources not found'
+                    }, counts));
                 },
                 function onRejected(error) {
                     config.serveError(res, error);
                 });
             return update;
-        });
+        },
+        serveThrown);
 
     console.log('\tDELETE \t->', routePath);
     // DELETE delete all records, better be sure you want to do this!
     app.delete(routePath,
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('delete'),
         /**
          * Delete all documents from Model collection matching query,
          * be careful all documents can be deleted if no query is supplied
@@ -881,100 +5107,111 @@ exports.serveRoutes = function (app, Model, config) {
          * @return {Object}     Q promise resolving to remove method response
          */
         function deleteDocuments(req, res) {
+            var crud = requestCrud(req);
             // req.body expected to be of the following content types for bodyParser to work:
             // application/json, application/x-www-form-encoded or multipart/form-data
             //
             // we will also accept URL parameters and include them into the mix
             var params = _.extend(req.query || {}, req.body || {});
-            var query = config.buildQueryFromParams(params, fields);
+            var query = config.buildQueryFromParams(params, queryableFields(req), '', Model.schema);
 
-            var remove = crud.remove(query);
+            var remove = crud.removeMany(query);
             remove.then(
-                function onFulfilled(removed) {
-                    config.serveJson(res, 200, {
-                        message: 'Resources deleted',
-                        removed: removed
-                    });
+                function onFulfilled(counts) {
+                    config.serveJson(res, 200, _.extend({
+                        message: 'Resources deleted'
+                    }, counts));
                 },
                 function onRejected(error) {
                     config.serveError(res, error);
                 });
             return remove;
-        });
+        },
+        serveThrown);
+
+    config.log('log', '\tGET \t->', routePath + '/_schema');
+    // GET JSON Schema of the Model
+    app.get(routePath + '/_schema',
+        authenticateUser,
+        authorizeUser('read'),
+        /**
+         * Get the JSON Schema of the Model, only fields readable by the request principal are included
+         * @param  {Object} req http request object
+         * @param  {Object} res http response object
+         * @return {Object}     JSON response message passed to config.serveJson
+         */
+        function getSchema(req, res) {
+            return config.serveJson(res, 200, _.extend({
+                $schema: 'http://json-schema.org/draft-07/schema#',
+                title: Model.modelName
+            }, config.buildJsonSchema(Model.schema, 'readable', req.user)));
+        },
+        serveThrown);
+
+    config.log('log', '\tGET \t->', routePath + '/search');
+    // GET full text search
+    app.get(routePath + '/search',
+        authenticateUser,
+        authorizeUser('read'),
+        /**
+         * Search documents in Model collection for the words of the q parameter, other query
+         * parameters narrow the search down as they do when finding documents
+         * @param  {Object} req http request object
+         * @param  {Object} res http response object
+         * @return {Object}     Q promise resolving to search method response
+         */
+        function searchDocuments(req, res) {
+            var crud = requestCrud(req),
+                query = combineQueries(config.buildQueryFromParams(_.omit(req.query || {}, 'q'), queryableFields(req), '', Model.schema),
+                    config.buildFilterQuery(req.query.filter, queryableFields(req), Model.schema));
+
+            var search = crud.search(req.query.q, query, req.query.limit, req.query.sort, {}, req.query.page);
+            search.then(
+                function onFulfilled(found) {
+                    var documents = { documents: found };
+                    crud.buildResultsMeta(req.route.path, req.query, crud.buildSearchQuery(req.query.q, query), found).then(
+                        function onFulfilled(meta) {
+                            documents.meta = meta;
+                            config.serveJson(res, 200, documents, hiddenFields(req));
+                        });
+                },
+                function onRejected(error) {
+                    config.serveError(res, error);
+                });
+            return search;
+        },
+        serveThrown);
 
     console.log('\tGET \t->', aggregationRoutePath);
     app.get(aggregationRoutePath,
-        config.authenticateUser,
+        function isAggregation(req, res, next) {
+            // the aggregation route shares its path with the projection route
+            return next((~aggregations.indexOf(req.params.aggregation)) ? null : 'route');
+        },
+        authenticateUser,
+        authorizeUser('aggregate'),
         /**
-         * Route handler for count, distinct, group and aggregate Mongoose queries
+         * Route handler for count, distinct, group and aggregate Mongoose queries,
+         * based on the aggregation type different query parameters are expected, see crud.runAggregation
          * @param  {Object}   req  http request object
          * @param  {Object}   res  http response object
-         * @param  {Function} next express function to advance to the next route handler
-         * @return {Object}
-         */
-        function postAggregationQuery(req, res, next) {
-            // advance REST usage, baased on the aggregation type different
-            // query parameters are expected
-            // JSON.stringify() should be used when building query parameters
-            var params = _.extend(req.query || {});
-            _.forEach(params, function (param, key) {
-                try {
-                    params[key] = JSON.parse(param);
-                } catch (e) {
-                    params[key] = param;
-                }
-            });
-
-            switch (req.params.aggregation) {
-            case 'count':
-                return crud.count(config.buildQueryFromParams(params.query, fields)).then(
-                    function onFulfilled(results) {
-                        config.serveJson(res, 200, {
-                            count: results
-                        });
-                    },
-                    function onRejected(error) {
-                        config.serveError(res, error);
-                    });
-            case 'distinct':
-                return crud.distinct(params.select, config.buildQueryFromParams(params.query, fields)).then(
-                    function onFulfilled(results) {
-                        config.serveJson(res, 200, {
-                            distinct: results
-                        });
-                    },
-                    function onRejected(error) {
-                        config.serveError(res, error);
-                    });
-            case 'group':
-                return crud.group(config.buildQueryFromParams(params.group, fields)).then(
-                    function onFulfilled(results) {
-                        config.serveJson(res, 200, {
-                            group: results
-                        });
-                    },
-                    function onRejected(error) {
-                        config.serveError(res, error);
-                    });
-            case 'aggregate':
-                return crud.aggregate(config.buildQueryFromParams(params.aggregate, fields)).then(
-                    function onFulfilled(results) {
-                        config.serveJson(res, 200, {
-                            aggregate: results
-                        });
-                    },
-                    function onRejected(error) {
-                        config.serveError(res, error);
-                    });
-            default:
-                return next();
-            }
-        });
+         * @return {Object}        Q promise resolving to the aggregation results
+         */
+        function postAggregationQuery(req, res) {
+            return requestCrud(req).runAggregation(req.params.aggregation, req.query).then(
+                function onFulfilled(results) {
+                    config.serveJson(res, 200, results);
+                },
+                function onRejected(error) {
+                    config.serveError(res, error);
+                });
+        },
+        serveThrown);
 
     console.log('\tPOST \t->', idRoutePath);
     // POST document by route :id, not supported
     app.post(idRoutePath,
-        config.authenticateUser,
+        authenticateUser,
         /**
          * POST Model collection document by route :id, not a supported method
          * @param  {Object} req http request handler
@@ -985,12 +5222,14 @@ exports.serveRoutes = function (app, Model, config) {
             return config.serveJson(res, 405, {
                 message: 'Posting to a resource is not supported, use PUT for updates and POST to index for creating new documents'
             });
-        });
+        },
+        serveThrown);
 
     console.log('\tGET \t->', routePath + '/:projection');
     // GET documents using :projection
     app.get(routePath + '/:projection',
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('read'),
         /**
          * Get Model collection documents using :projection
          * @param  {Object} req http request object
@@ -999,6 +5238,7 @@ exports.serveRoutes = function (app, Model, config) {
          * @return {Object}     Q promise that resolves to findById method response
          */
         function getDocumentByFields(req, res, next) {
+            var crud = requestCrud(req);
             if (!config.isValidId(req.params.projection)) {
                 // TODO: Apply this sort of logic in other areas or wrap as helper method
                 try {
@@ -1009,26 +5249,25 @@ exports.serveRoutes = function (app, Model, config) {
                         delete req.query._query;
                     }
                 } catch (error) {
-                    config.serveError(res, {
-                        message: 'Unable to parse query string as JSON'
-                    });
+                    return config.serveError(res, createError(400, 'Unable to parse query string as JSON'));
                 }
                 var params =  _.extend({}, req.query || {}),
-                    query = config.buildQueryFromParams(params, fields),
+                    query = combineQueries(config.buildQueryFromParams(params, queryableFields(req), '', Model.schema),
+                        config.buildFilterQuery(req.query.filter, queryableFields(req), Model.schema)),
                     limit = req.query.limit,
                     pageNum = req.query.page,
                     sort = req.query.sort;
 
-                var projection = config.buildProjectionFromString(req.params.projection);
+                var projection = config.buildProjectionFromString(req.params.projection, config.getPermittedFields(fields, 'readable', req.user));
 
-                var find = crud.find(query, limit, sort, projection, pageNum);
+                var find = crud.find(query, limit, sort, projection, pageNum, config.getCursor(req.query), req.query.expand);
                 find.then(
-                    function onFulfilled(documents) {
-                        documents = { documents: documents };
-                        crud.buildResultsMeta(req.url, req.query, query).then(
+                    function onFulfilled(found) {
+                        var documents = { documents: found };
+                        crud.buildResultsMeta(req.url, req.query, query, found).then(
                             function onFulfilled(meta) {
                                 documents.meta = meta;
-                                config.serveJson(res, 200, documents);
+                                config.serveJson(res, 200, documents, hiddenFields(req));
                             });
                     },
                     function onRejected(error) {
@@ -1037,12 +5276,14 @@ exports.serveRoutes = function (app, Model, config) {
                 return find;
             }
             return next();
-        });
+        },
+        serveThrown);
 
     console.log('\tGET \t->', idRoutePath);
     // GET document by route :id
     app.get(idRoutePath,
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('read'),
         /**
          * Get Model collection document by route :id
          * @param  {Object} req http request object
@@ -1050,11 +5291,12 @@ exports.serveRoutes = function (app, Model, config) {
          * @return {Object}     Q promise that resolves to findById method response
          */
         function getDocumentById(req, res) {
-            var find = crud.findById(req.params.id);
+            var crud = requestCrud(req);
+            var find = crud.findById(req.params.id, {}, req.query.expand);
             find.then(
                 function onFulfilled(document) {
                     if (document) {
-                        config.serveJson(res, 200, document);
+                        config.serveJson(res, 200, document, hiddenFields(req));
                     } else {
                         config.serveJson(res, 404, {
                             message: 'Resource not found'
@@ -1065,38 +5307,85 @@ exports.serveRoutes = function (app, Model, config) {
                     config.serveError(res, error);
                 });
             return find;
-        });
+        },
+        serveThrown);
 
     console.log('\tPUT \t->', idRoutePath);
     // PUT document update by route :id
     app.put(idRoutePath,
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('update'),
         /**
-         * Update Model collection document by id
+         * Replace Model collection document by id, responds with the replaced document
          * @param  {Object}   req  http request object
          * @param  {Object}   res  http response object
-         * @return {Object}        Q promise that resolves to update method response
+         * @return {Object}        Q promise that resolves to replace method response
          */
         function updateDocumentById(req, res) {
+            var crud = requestCrud(req);
             // req.body expected to be of the following content types for bodyParser to work:
             // application/json, application/x-www-form-encoded or multipart/form-data
             //
             // we will also accept URL parameters and include them into the mix
-            var params = _.extend(req.query || {}, req.body || {});
-            var document = config.buildQueryFromParams(params, fields);
+            var projection = requestProjection(req);
+            var params = _.extend(_.omit(req.query || {}, 'projection'), req.body || {});
+            var document = config.buildQueryFromParams(params, fields, '', Model.schema);
 
-            // TODO: quick fix to eliminate Modon_idnotallowed error, need to examine if _id and id should be excluded from fields
-            delete document._id;
-            delete document.id;
-
-            var update = crud.update({ _id: req.params.id}, document);
+            // the document replaces the one by route :id as a whole, see crud.replace
+            var update = crud.replace(req.params.id, document, projection);
             update.then(
-                function onFulfilled(update) {
-                    if (update) {
+                function onFulfilled(updated) {
+                    if (updated) {
+                        config.serveJson(res, 200, {
+                            message: 'Resource updated',
+                            document: updated
+                        }, hiddenFields(req));
+                    } else {
+                        config.serveJson(res, 404, {
+                            message: 'Resource not found'
+                        });
+                    }
+                },
+                function onRejected(error) {
+                    config.serveError(res, error);
+                });
+            return update;
+        },
+        serveThrown);
+
+    config.log('log', '\tPATCH \t->', idRoutePath);
+    // PATCH document by route :id
+    app.patch(idRoutePath,
+        authenticateUser,
+        authorizeUser('update'),
+        /**
+         * Patch Model collection document by id with a JSON Merge Patch (application/merge-patch+json or
+         * application/json) or a JSON Patch (application/json-patch+json), see crud.patch
+         * @param  {Object}   req  http request object
+         * @param  {Object}   res  http response object
+         * @return {Object}        Q promise that resolves to patch method response
+         */
+        function patchDocumentById(req, res) {
+            var crud = requestCrud(req),
+                format = (req.is('application/json-patch+json')) ? 'json' :
+                        (req.is('application/merge-patch+json') || req.is('application/json')) ? 'merge' : null;
+
+            if (!format) {
+                return config.serveJson(res, 415, {
+                    message: 'Unsupported patch format, use application/merge-patch+json or application/json-patch+json'
+                });
+            }
+
+            var patch = readJsonBody(req).then(function (body) {
+                return crud.patch(req.params.id, body, format, requestProjection(req));
+            });
+            patch.then(
+                function onFulfilled(document) {
+                    if (document) {
                         config.serveJson(res, 200, {
-                            message: 'Resources updated',
-                            update: update
-                        });
+                            message: 'Resource updated',
+                            document: document
+                        }, hiddenFields(req));
                     } else {
                         config.serveJson(res, 404, {
                             message: 'Resource not found'
@@ -1106,28 +5395,31 @@ exports.serveRoutes = function (app, Model, config) {
                 function onRejected(error) {
                     config.serveError(res, error);
                 });
-            return update;
-        });
+            return patch;
+        },
+        serveThrown);
 
     console.log('\tDELETE \t->', idRoutePath);
     // DELETE document by route :id
     app.delete(idRoutePath,
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('delete'),
         /**
-         * Delete Model collection document by route id
+         * Delete Model collection document by route id, responds with the deleted document
          * @param  {Object} req http request object
          * @param  {Object} res http response object
          * @return {Object}     Q promise that resolves to remove method response
          */
         function deleteDocumentById(req, res) {
-            var remove = crud.remove({ _id: req.params.id });
+            var crud = requestCrud(req);
+            var remove = crud.findByIdAndRemove(req.params.id, requestProjection(req));
             remove.then(
                 function onFulfilled(removed) {
                     if (removed) {
                         config.serveJson(res, 200, {
-                            message: 'Resources deleted',
-                            removed: removed
-                        });
+                            message: 'Resource deleted',
+                            document: removed
+                        }, hiddenFields(req));
                     } else {
                         config.serveJson(res, 404, {
                             message: 'Resource not found'
@@ -1138,12 +5430,287 @@ exports.serveRoutes = function (app, Model, config) {
                     config.serveError(res, error);
                 });
             return remove;
-        });
+        },
+        serveThrown);
+
+    // sub document array routes are set up ahead of :projection routes which would match them otherwise
+    _.each(config.getSubdocumentPaths(Model.schema), function (path) {
+        var subdocumentsRoutePath = idRoutePath + '/' + path,
+            subdocumentRoutePath = subdocumentsRoutePath + '/:subId';
+
+        /**
+         * Fields of the sub documents hidden from the request principal
+         * @param  {Object} req http request object
+         * @return {Array}      list of hidden fields relative to the sub documents
+         */
+        function hiddenSubdocumentFields(req) {
+            return _.compact(_.map(hiddenFields(req), function (field) {
+                return (field.indexOf(path + '.') === 0) ? field.slice(path.length + 1) : null;
+            }));
+        }
+
+        /**
+         * Build sub document from the body of a request, also factors url parameters
+         * @param  {Object} req http request object
+         * @return {Object}     sub document
+         */
+        function requestSubdocument(req) {
+            var params = _.extend(req.query || {}, req.body || {}),
+                subdocument = config.buildQueryFromParams(params, fields, path, Model.schema);
+
+            delete subdocument.id;
+            return subdocument;
+        }
+
+        /**
+         * Build route handler serving the sub document an operation resolves to
+         * @param  {Function} operation function (crud, req) returning a Q promise of the sub document
+         * @param  {Number}   code      http status code of the response
+         * @param  {String}   message   response message, the sub document is served on its own when empty
+         * @return {Function}           express route handler
+         */
+        function serveSubdocument(operation, code, message) {
+            return function (req, res) {
+                var result = operation(requestCrud(req), req);
+                result.then(
+                    function onFulfilled(subdocument) {
+                        if (!subdocument) {
+                            config.serveJson(res, 404, {
+                                message: 'Resource not found'
+                            });
+                        } else if (message) {
+                            config.serveJson(res, code, {
+                                message: message,
+                                document: subdocument
+                            }, hiddenSubdocumentFields(req));
+                        } else {
+                            config.serveJson(res, code, subdocument, hiddenSubdocumentFields(req));
+                        }
+                    },
+                    function onRejected(error) {
+                        config.serveError(res, error);
+                    });
+                return result;
+            };
+        }
+
+        config.log('log', '\tGET \t->', subdocumentsRoutePath);
+        // GET sub documents of document by route :id
+        app.get(subdocumentsRoutePath,
+            authenticateUser,
+            authorizeUser('read'),
+            /**
+             * Get the sub documents of Model collection document by route :id
+             * @param  {Object} req http request object
+             * @param  {Object} res http response object
+             * @return {Object}     Q promise resolving to findSubdocuments method response
+             */
+            function getSubdocuments(req, res) {
+                var find = requestCrud(req).findSubdocuments(req.params.id, path);
+                find.then(
+                    function onFulfilled(subdocuments) {
+                        if (subdocuments) {
+                            config.serveJson(res, 200, { documents: subdocuments }, hiddenSubdocumentFields(req));
+                        } else {
+                            config.serveJson(res, 404, {
+                                message: 'Resource not found'
+                            });
+                        }
+                    },
+                    function onRejected(error) {
+                        config.serveError(res, error);
+                    });
+                return find;
+            },
+            serveThrown);
+
+        config.log('log', '\tPOST \t->', subdocumentsRoutePath);
+        // POST sub document to document by route :id
+        app.post(subdocumentsRoutePath,
+            authenticateUser,
+            authorizeUser('update'),
+            serveSubdocument(function (crud, req) {
+                return crud.addSubdocument(req.params.id, path, requestSubdocument(req));
+            }, 201, 'Resource created'),
+            serveThrown);
+
+        config.log('log', '\tGET \t->', subdocumentRoutePath);
+        // GET sub document by route :id and :subId
+        app.get(subdocumentRoutePath,
+            authenticateUser,
+            authorizeUser('read'),
+            serveSubdocument(function (crud, req) {
+                return crud.findSubdocument(req.params.id, path, req.params.subId);
+            }, 200),
+            serveThrown);
+
+        config.log('log', '\tPUT \t->', subdocumentRoutePath);
+        // PUT sub document update by route :id and :subId
+        app.put(subdocumentRoutePath,
+            authenticateUser,
+            authorizeUser('update'),
+            serveSubdocument(function (crud, req) {
+                return crud.updateSubdocument(req.params.id, path, req.params.subId, requestSubdocument(req));
+            }, 200, 'Resource updated'),
+            serveThrown);
+
+        config.log('log', '\tDELETE \t->', subdocumentRoutePath);
+        // DELETE sub document by route :id and :subId
+        app.delete(subdocumentRoutePath,
+            authenticateUser,
+            authorizeUser('update'),
+            serveSubdocument(function (crud, req) {
+                return crud.removeSubdocument(req.params.id, path, req.params.subId);
+            }, 200, 'Resource deleted'),
+            serveThrown);
+    });
+
+    // relationship routes are set up ahead of :projection routes as well, see config.getRelationships
+    _.each(config.getRelationships(Model), function (relationship) {
+        var related = relationship.resource,
+            relationshipRoutePath = idRoutePath + '/' + relationship.name,
+            linkRoutePath = relationshipRoutePath + '/:relatedId';
+
+        /**
+         * CRUD wrapper of the related resource scoped to the calling context of a request
+         * @param  {Object} req http request object
+         * @return {Object}     CRUD wrapper
+         */
+        function relatedCrud(req) {
+            return related.crud({ user: req.user, req: req });
+        }
+
+        /**
+         * Build route handler enforcing the authorization policy for an operation on the related collection
+         * @param  {String} operation one of read or update
+         * @return {Function}         express route handler
+         */
+        function authorizeRelated(operation) {
+            return related.config.authorizeUser(related.name, operation);
+        }
+
+        /**
+         * Build route handler linking or unlinking the document by route :id and a related document
+         * @param  {String} method  link or unlink, see crud.link
+         * @param  {String} message response message
+         * @return {Function}       express route handler
+         */
+        function updateLink(method, message) {
+            return function (req, res) {
+                var update = requestCrud(req).findById(req.params.id, { _id: 1 }).then(function (document) {
+                    return (document) ? relatedCrud(req)[method](req.params.relatedId, relationship.path, document._id) : null;
+                });
+                update.then(
+                    function onFulfilled(counts) {
+                        if (counts && counts.matched) {
+                            config.serveJson(res, 200, _.extend({
+                                message: message
+                            }, counts));
+                        } else {
+                            config.serveJson(res, 404, {
+                                message: 'Resource not found'
+                            });
+                        }
+                    },
+                    function onRejected(error) {
+                        config.serveError(res, error);
+                    });
+                return update;
+            };
+        }
+
+        config.log('log', '\tGET \t->', relationshipRoutePath);
+        // GET related documents referencing document by route :id
+        app.get(relationshipRoutePath,
+            authenticateUser,
+            authorizeUser('read'),
+            authorizeRelated('read'),
+            /**
+             * Get the documents of the related collection referencing Model collection document by route :id,
+             * query parameters filter, sort and paginate the related documents as they do on its own routes.
+             * Callers not permitted to query the related collection by the referencing path are refused
+             * @param  {Object} req http request object
+             * @param  {Object} res http response object
+             * @return {Object}     Q promise resolving to find method response
+             */
+            function findRelatedDocuments(req, res) {
+                var crud = relatedCrud(req),
+                    queryable = related.config.getPermittedFields(related.fields, 'queryable', req.user);
+                if (!related.config.isFieldPermitted(relationship.path, 'queryable', req.user)) {
+                    return config.serveError(res, createError(403, 'Not permitted to query field: ' + relationship.path));
+                }
+                try {
+                    if (req.query._query) {
+                        var rawQuery = ('string' === typeof req.query._query)?JSON.parse(req.query._query):req.query._query;
+                        req.query = _.extend(rawQuery, req.query);
+                        delete req.query._query;
+                    }
+                } catch (error) {
+                    return config.serveError(res, createError(400, 'Unable to parse query string as JSON'));
+                }
+
+                var params = _.extend({}, req.query || {}),
+                    query = combineQueries(related.config.buildQueryFromParams(params, queryable, '', related.Model.schema),
+                        related.config.buildFilterQuery(req.query.filter, queryable, related.Model.schema)),
+                    limit = req.query.limit,
+                    pageNum = req.query.page,
+                    sort = req.query.sort;
+
+                var find = requestCrud(req).findById(req.params.id, { _id: 1 }).then(function (document) {
+                    if (!document) {
+                        return null;
+                    }
+                    query = combineQueries(query, _.object([relationship.path], [document._id]));
+                    return crud.find(query, limit, sort, {}, pageNum, related.config.getCursor(req.query), req.query.expand);
+                });
+                find.then(
+                    function onFulfilled(found) {
+                        var documents = { documents: found };
+                        if (!found) {
+                            return config.serveJson(res, 404, {
+                                message: 'Resource not found'
+                            });
+                        }
+                        crud.buildResultsMeta(req.path, req.query, query, found).then(
+                            function onFulfilled(meta) {
+                                documents.meta = meta;
+                                related.config.serveJson(res, 200, documents, related.config.getHiddenFields(req.user));
+                            });
+                    },
+                    function onRejected(error) {
+                        config.serveError(res, error);
+                    });
+                return find;
+            },
+            serveThrown);
+
+        if (!relationship.many) {
+            return;
+        }
+
+        config.log('log', '\tPUT \t->', linkRoutePath);
+        // PUT link related document by route :relatedId to document by route :id
+        app.put(linkRoutePath,
+            authenticateUser,
+            authorizeUser('read'),
+            authorizeRelated('update'),
+            updateLink('link', 'Resources linked'),
+            serveThrown);
+
+        config.log('log', '\tDELETE \t->', linkRoutePath);
+        // DELETE link between related document by route :relatedId and document by route :id
+        app.delete(linkRoutePath,
+            authenticateUser,
+            authorizeUser('read'),
+            authorizeRelated('update'),
+            updateLink('unlink', 'Resources unlinked'),
+            serveThrown);
+    });
 
     console.log('\tPOST \t->', projectionRoutePath);
     // POST to route by :id with :projection
     app.post(projectionRoutePath,
-        config.authenticateUser,
+        authenticateUser,
         /**
          * Post Model collection document by route :id with comma separated :projection from the route
          * @param  {Object} req http request object
@@ -1154,12 +5721,14 @@ exports.serveRoutes = function (app, Model, config) {
             return config.serveJson(res, 405, {
                 message: 'Posting to a resource with projections is not supported, POST to index for creating new documents'
             });
-        });
+        },
+        serveThrown);
 
     console.log('\tGET \t->', projectionRoutePath);
     // GET document by :id with :projection
     app.get(projectionRoutePath,
-        config.authenticateUser,
+        authenticateUser,
+        authorizeUser('read'),
         /**
          * Get Model collection document by route :id limiting any comma separated :projection from the route
          * @param  {Object} req http request object
@@ -1167,13 +5736,14 @@ exports.serveRoutes = function (app, Model, config) {
          * @return {Object}     Q promise resolving to findById method results
          */
         function getDocumentByIdWithProjection(req, res) {
-            var projection = config.buildProjectionFromString(req.params.projection);
+            var crud = requestCrud(req);
+            var projection = config.buildProjectionFromString(req.params.projection, config.getPermittedFields(fields, 'readable', req.user));
 
-            var find = crud.findById(req.params.id, projection);
+            var find = crud.findById(req.params.id, projection, req.query.expand);
             find.then(
                 function onFulfilled(document) {
                     if (document) {
-                        config.serveJson(res, 200, document);
+                        config.serveJson(res, 200, document, hiddenFields(req));
                     } else {
                         config.serveJson(res, 404, {
                             message: 'Resource not found'
@@ -1184,12 +5754,13 @@ exports.serveRoutes = function (app, Model, config) {
                     config.serveError(res, error);
                 });
             return find;
-        });
+        },
+        serveThrown);
 
     console.log('\tPUT \t->', projectionRoutePath);
     // PUT document by :id with :projection
     app.put(projectionRoutePath,
-        config.authenticateUser,
+        authenticateUser,
         /**
          * Post Model collection document by route :id with comma separated :projection from the route
          * @param  {Object} req http request object
@@ -1200,12 +5771,13 @@ exports.serveRoutes = function (app, Model, config) {
             return config.serveJson(res, 405, {
                 message: 'Modifying a resource attribute is not supported. Try modifying the resource instead.'
             });
-        });
+        },
+        serveThrown);
 
     console.log('\tDELETE \t->', projectionRoutePath);
     // DELETE document by :id with :projection
     app.delete(projectionRoutePath,
-        config.authenticateUser,
+        authenticateUser,
         /**
          * Post Model collection document by route :id with comma separated :projection from the route
          * @param  {Object} req http request object
@@ -1216,14 +5788,699 @@ exports.serveRoutes = function (app, Model, config) {
             return config.serveJson(res, 405, {
                 message: 'Deleting a resource attribute is not supported. Try deleting the resource instead.'
             });
-        });
+        },
+        serveThrown);
 
 };
 
-exports.serveCrud = function (Model, config) {
-    config = _.extend(exports.config, config || {});
+exports.serveCrud = function (Model, config, context) {
+    config = layerConfig(exports.config, config);
     return {
         fields: _.union(config.getSchemaFields(Model.schema), config.getVirtualFields(Model.schema)),
-        api: config.crud(Model)
+        api: config.crud(Model, context)
+    };
+};
+
+/**
+ * Create an API instance with its own configuration layered over exports.config,
+ * resources registered with the instance layer their own options over the instance
+ * @param  {Object} [options={}] instance wide configuration options
+ * @return {Object}              API instance
+ */
+exports.create = function (options) {
+    var api = {};
+
+    /**
+     * instance wide configuration
+     * @type {Object}
+     */
+    api.config = layerConfig(exports.config, options);
+
+    /**
+     * registered resources keyed by resource name
+     * @type {Object}
+     */
+    api.resources = api.config.resources = {};
+
+    /**
+     * Register a Model as a resource of the instance
+     * @param  {Object} Model          mongoose Model
+     * @param  {Object} [modelOptions={}] configuration options overriding the instance config for this Model only
+     * @return {Object}                resource
+     */
+    api.resource = function (Model, modelOptions) {
+        var config = layerConfig(api.config, modelOptions),
+            resource = {},
+            socketListeners = null;
+
+        config.name = config.name || Model.collection.name;
+
+        /**
+         * resource name used in route paths and socket events
+         * @type {String}
+         */
+        resource.name = config.name;
+
+        /**
+         * mongoose Model
+         * @type {Object}
+         */
+        resource.Model = Model;
+
+        /**
+         * resource configuration
+         * @type {Object}
+         */
+        resource.config = config;
+
+        /**
+         * fields from the Model schema and virtuals
+         * @type {Array}
+         */
+        resource.fields = _.union(config.getSchemaFields(Model.schema), config.getVirtualFields(Model.schema));
+
+        /**
+         * CRUD wrapper of the resource
+         * @param  {Object} [context={}] calling context
+         * @return {Object}              CRUD wrapper
+         */
+        resource.crud = function (context) {
+            return config.crud(Model, context);
+        };
+
+        /**
+         * Serve REST routes of the resource
+         * @param  {Object} app express application
+         * @return {Object}     resource
+         */
+        resource.serveRoutes = function (app) {
+            exports.serveRoutes(app, Model, config);
+            return resource;
+        };
+
+        /**
+         * Serve socket events of the resource on a socket.io connection, the listeners
+         * are built once and shared by every socket served
+         * @param  {Object} socket socket.io web socket connection
+         * @return {Object}        CRUD socket object
+         */
+        resource.serveSockets = function (socket) {
+            socketListeners = socketListeners || createSocketListeners(Model, config);
+            return socketListeners.connect(socket);
+        };
+
+        /**
+         * Register a hook run before an operation on this resource, see config.hooks
+         * @param  {String}   operation operation name or * for all operations
+         * @param  {Function} hook      hook function
+         * @return {Object}             resource
+         */
+        resource.before = function (operation, hook) {
+            config.before(operation, hook);
+            return resource;
+        };
+
+        /**
+         * Register a hook run after an operation on this resource, see config.hooks
+         * @param  {String}   operation operation name or * for all operations
+         * @param  {Function} hook      hook function
+         * @return {Object}             resource
+         */
+        resource.after = function (operation, hook) {
+            config.after(operation, hook);
+            return resource;
+        };
+
+        /**
+         * Describe the resource for discovery, only the methods and fields available to the principal are listed
+         * @param  {Object} principal authenticated principal, null when anonymous
+         * @return {Object}           Q promise resolving to the resource description, null when nothing is permitted
+         */
+        resource.describe = function (principal) {
+            var operations = ['create', 'read', 'update', 'delete', 'aggregate'],
+                methods = { create: 'POST', read: 'GET', update: 'PUT', delete: 'DELETE' };
+
+            return Q.all(_.map(operations, function (operation) {
+                return config.authorize(principal, resource.name, operation).then(
+                    function onFulfilled() {
+                        return operation;
+                    },
+                    function onRejected() {
+                        return null;
+                    });
+            })).then(function (permitted) {
+                permitted = _.compact(permitted);
+                if (!permitted.length) {
+                    return null;
+                }
+                return {
+                    name: resource.name,
+                    url: config.baseURL + resource.name,
+                    schema: (~_.indexOf(permitted, 'read')) ? config.baseURL + resource.name + '/_schema' : null,
+                    methods: _.compact(_.map(permitted, function (operation) {
+                        return methods[operation];
+                    })),
+                    aggregations: (~_.indexOf(permitted, 'aggregate')) ? ['count', 'distinct', 'group', 'aggregate'] : [],
+                    fields: config.getPermittedFields(config.getSchemaFields(Model.schema), 'readable', principal),
+                    virtuals: config.getPermittedFields(config.getVirtualFields(Model.schema), 'readable', principal)
+                };
+            });
+        };
+
+        /**
+         * Describe the routes of the resource available to the principal as OpenAPI path items
+         * @param  {Object} principal authenticated principal, null when anonymous
+         * @return {Object}           Q promise resolving to { paths, schemas }, null when nothing is permitted
+         */
+        resource.openapi = function (principal) {
+            var relationships = config.getRelationships(Model);
+
+            return Q.all([
+                resource.describe(principal),
+                Q.all(_.map(relationships, function (relationship) {
+                    return relationship.resource.describe(principal);
+                }))
+            ]).spread(function (description, relatedDescriptions) {
+                if (!description) {
+                    return null;
+                }
+
+                var url = description.url,
+                    modelName = Model.modelName,
+                    paths = {},
+                    schemas = {},
+                    queryable = config.getPermittedFields(config.getSchemaFields(Model.schema), 'queryable', principal),
+                    filters = _.map(queryable, function (field) {
+                        return {
+                            name: field,
+                            in: 'query',
+                            description: 'Match documents on ' + field + ', modifiers are appended eg. ' + field + '.' + config.fieldModifiers[0],
+                            schema: { type: 'string' }
+                        };
+                    }),
+                    idParameter = {
+                        name: 'id',
+                        in: 'path',
+                        required: true,
+                        schema: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+                    },
+                    projectionParameter = {
+                        name: 'projection',
+                        in: 'path',
+                        required: true,
+                        description: 'comma separated list of fields to include',
+                        schema: { type: 'string' }
+                    };
+
+                function permitted(method) {
+                    return !!~_.indexOf(description.methods, method);
+                }
+
+                function ref(name) {
+                    return { $ref: '#/components/schemas/' + name };
+                }
+
+                function operation(summary, parameters, responses, requestBody) {
+                    var definition = {
+                        tags: [resource.name],
+                        summary: summary,
+                        parameters: parameters,
+                        responses: _.extend(responses, {
+                            default: { $ref: '#/components/responses/Error' }
+                        })
+                    };
+                    if (requestBody) {
+                        definition.requestBody = {
+                            required: true,
+                            content: { 'application/json': { schema: requestBody } }
+                        };
+                    }
+                    return definition;
+                }
+
+                function response(text, properties) {
+                    return {
+                        description: text,
+                        content: {
+                            'application/json': {
+                                schema: (properties.$ref) ? properties : { type: 'object', properties: properties }
+                            }
+                        }
+                    };
+                }
+
+                var message = { type: 'string' },
+                    notFound = response('Not found', { message: message }),
+                    counts = response('Number of documents matched, modified and deleted', {
+                        message: message,
+                        matched: { type: 'integer' },
+                        modified: { type: 'integer' },
+                        deleted: { type: 'integer' }
+                    }),
+                    listResponse = response('Matching documents', {
+                        documents: { type: 'array', items: ref(modelName) },
+                        meta: ref('ResultsMeta')
+                    }),
+                    findParameters = [
+                        { $ref: '#/components/parameters/limit' },
+                        { $ref: '#/components/parameters/page' },
+                        { $ref: '#/components/parameters/sort' },
+                        { $ref: '#/components/parameters/after' },
+                        { $ref: '#/components/parameters/before' },
+                        { $ref: '#/components/parameters/count' },
+                        { $ref: '#/components/parameters/query' },
+                        { $ref: '#/components/parameters/filter' },
+                        { $ref: '#/components/parameters/expand' }
+                    ],
+                    listParameters = findParameters.concat(filters);
+
+                schemas[modelName] = config.buildJsonSchema(Model.schema, 'readable', principal);
+                schemas[modelName + 'Input'] = config.buildJsonSchema(Model.schema, 'writable', principal);
+                schemas[modelName + 'Update'] = omitRequired(schemas[modelName + 'Input']);
+
+                paths[url] = {};
+                paths[url + '/{id}'] = {};
+                if (permitted('POST')) {
+                    paths[url].post = operation('Create a ' + modelName, [], {
+                        201: response('Created document', { message: message, document: ref(modelName) })
+                    }, ref(modelName + 'Input'));
+                }
+                if (permitted('GET')) {
+                    paths[url].get = operation('Find ' + resource.name, listParameters, {
+                        200: listResponse
+                    });
+                    paths[url + '/{id}'].get = operation('Get a ' + modelName + ' by id, when id is not a valid ObjectId ' +
+                        'it is taken as a projection and ' + resource.name + ' are found as with GET ' + url, [
+                            idParameter,
+                            { $ref: '#/components/parameters/expand' }
+                        ], {
+                            200: {
+                                description: 'Document, or matching documents when id is a projection',
+                                content: {
+                                    'application/json': {
+                                        schema: { oneOf: [ref(modelName), listResponse.content['application/json'].schema] }
+                                    }
+                                }
+                            },
+                            404: notFound
+                        });
+                    paths[url + '/_schema'] = {
+                        get: operation('JSON Schema of a ' + modelName, [], {
+                            200: response('JSON Schema', ref(modelName))
+                        })
+                    };
+                    paths[url + '/search'] = {
+                        get: operation('Search ' + resource.name + ', sort=score sorts by relevance', [
+                            { name: 'q', in: 'query', required: true, description: 'words to search for', schema: { type: 'string' } },
+                            { $ref: '#/components/parameters/limit' },
+                            { $ref: '#/components/parameters/page' },
+                            { $ref: '#/components/parameters/sort' },
+                            { $ref: '#/components/parameters/count' },
+                            { $ref: '#/components/parameters/filter' }
+                        ].concat(filters), {
+                            200: listResponse
+                        })
+                    };
+                    paths[url + '/{id}/{projection}'] = {
+                        get: operation('Get fields of a ' + modelName + ' by id', [
+                            idParameter,
+                            projectionParameter,
+                            { $ref: '#/components/parameters/expand' }
+                        ], {
+                            200: response('Document', ref(modelName)),
+                            404: notFound
+                        })
+                    };
+                }
+                if (permitted('PUT')) {
+                    paths[url].put = operation('Update ' + resource.name + ' matching the query', filters, {
+                        200: counts,
+                        404: counts
+                    }, ref(modelName + 'Update'));
+                    paths[url + '/{id}'].put = operation('Replace a ' + modelName + ' by id', [
+                        idParameter,
+                        { $ref: '#/components/parameters/projection' }
+                    ], {
+                        200: response('Replaced document', { message: message, document: ref(modelName) }),
+                        404: notFound
+                    }, ref(modelName + 'Input'));
+                    paths[url + '/{id}'].patch = _.extend(operation('Patch a ' + modelName + ' by id', [
+                        idParameter,
+                        { $ref: '#/components/parameters/projection' }
+                    ], {
+                        200: response('Patched document', { message: message, document: ref(modelName) }),
+                        404: notFound,
+                        409: response('A test failed or the document changed while being patched', { message: message })
+                    }), {
+                        requestBody: {
+                            required: true,
+                            content: {
+                                'application/merge-patch+json': { schema: ref(modelName + 'Update') },
+                                'application/json-patch+json': {
+                                    schema: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            required: ['op', 'path'],
+                                            properties: {
+                                                op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+                                                path: { type: 'string' },
+                                                from: { type: 'string' },
+                                                value: {}
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    });
+                }
+                if (permitted('DELETE')) {
+                    paths[url].delete = operation('Delete ' + resource.name + ' matching the query', filters, {
+                        200: counts
+                    });
+                    paths[url + '/{id}'].delete = operation('Delete a ' + modelName + ' by id', [
+                        idParameter,
+                        { $ref: '#/components/parameters/projection' }
+                    ], {
+                        200: response('Deleted document', { message: message, document: ref(modelName) }),
+                        404: notFound
+                    });
+                }
+                _.each(relationships, function (relationship, index) {
+                    var related = relatedDescriptions[index],
+                        listUrl = url + '/{id}/' + relationship.name,
+                        relatedIdParameter = _.extend({}, idParameter, { name: 'relatedId' }),
+                        relatedModelName = relationship.resource.Model.modelName;
+
+                    if (!permitted('GET') || !related || !~_.indexOf(related.methods, 'GET')) {
+                        return;
+                    }
+                    paths[listUrl] = {
+                        get: operation('Find ' + relationship.resource.name + ' referencing a ' + modelName + ' by ' + relationship.path, [idParameter].concat(findParameters), {
+                            200: response('Matching documents', {
+                                documents: { type: 'array', items: ref(relatedModelName) },
+                                meta: ref('ResultsMeta')
+                            }),
+                            404: notFound
+                        })
+                    };
+                    if (relationship.many && ~_.indexOf(related.methods, 'PUT')) {
+                        paths[listUrl + '/{relatedId}'] = {
+                            put: operation('Add a ' + modelName + ' to the ' + relationship.path + ' of a ' + relatedModelName, [idParameter, relatedIdParameter], {
+                                200: counts,
+                                404: notFound
+                            }),
+                            delete: operation('Remove a ' + modelName + ' from the ' + relationship.path + ' of a ' + relatedModelName, [idParameter, relatedIdParameter], {
+                                200: counts,
+                                404: notFound
+                            })
+                        };
+                    }
+                });
+                _.each(config.getSubdocumentPaths(Model.schema), function (path) {
+                    var listUrl = url + '/{id}/' + path,
+                        itemUrl = listUrl + '/{subId}',
+                        subIdParameter = _.extend({}, idParameter, { name: 'subId' }),
+                        schema = Model.schema.path(path).schema,
+                        subdocument = config.buildJsonSchema(schema, 'readable', principal, path),
+                        input = config.buildJsonSchema(schema, 'writable', principal, path);
+
+                    paths[listUrl] = {};
+                    paths[itemUrl] = {};
+                    if (permitted('GET') && config.isFieldPermitted(path, 'readable', principal)) {
+                        paths[listUrl].get = operation('Get the ' + path + ' of a ' + modelName, [idParameter], {
+                            200: response('Sub documents', { documents: { type: 'array', items: subdocument } }),
+                            404: notFound
+                        });
+                        paths[itemUrl].get = operation('Get one of the ' + path + ' of a ' + modelName, [idParameter, subIdParameter], {
+                            200: response('Sub document', subdocument.properties),
+                            404: notFound
+                        });
+                    }
+                    if (permitted('PUT') && config.isFieldPermitted(path, 'writable', principal)) {
+                        paths[listUrl].post = operation('Add to the ' + path + ' of a ' + modelName, [idParameter], {
+                            201: response('Created sub document', { message: message, document: subdocument }),
+                            404: notFound
+                        }, input);
+                        paths[itemUrl].put = operation('Update one of the ' + path + ' of a ' + modelName, [idParameter, subIdParameter], {
+                            200: response('Updated sub document', { message: message, document: subdocument }),
+                            404: notFound
+                        }, omitRequired(input));
+                        paths[itemUrl].delete = operation('Remove one of the ' + path + ' of a ' + modelName, [idParameter, subIdParameter], {
+                            200: response('Removed sub document', { message: message, document: subdocument }),
+                            404: notFound
+                        });
+                    }
+                });
+                if (description.aggregations.length) {
+                    paths[url + '/count'] = {
+                        get: operation('Count ' + resource.name, [
+                            { $ref: '#/components/parameters/query' },
+                            { $ref: '#/components/parameters/filter' }
+                        ], {
+                            200: response('Number of matching documents', { count: { type: 'integer' } })
+                        })
+                    };
+                    paths[url + '/distinct'] = {
+                        get: operation('Distinct values of a ' + modelName + ' field', [
+                            { name: 'select', in: 'query', required: true, schema: { type: 'string', enum: queryable } },
+                            { $ref: '#/components/parameters/query' },
+                            { $ref: '#/components/parameters/filter' }
+                        ], {
+                            200: response('Distinct values', { distinct: { type: 'array', items: {} } })
+                        })
+                    };
+                    paths[url + '/group'] = {
+                        get: operation('Group ' + resource.name, [
+                            { name: 'group', in: 'query', required: true, description: 'JSON encoded group command', schema: { type: 'string' } }
+                        ], {
+                            200: response('Groups', { group: { type: 'array', items: { type: 'object' } } })
+                        })
+                    };
+                    paths[url + '/aggregate'] = {
+                        get: operation('Run an aggregation pipeline on ' + resource.name, [
+                            { name: 'aggregate', in: 'query', required: true, description: 'JSON encoded pipeline', schema: { type: 'string' } }
+                        ], {
+                            200: response('Aggregation results', { aggregate: { type: 'array', items: { type: 'object' } } })
+                        })
+                    };
+                }
+
+                return {
+                    paths: _.omit(paths, _.filter(_.keys(paths), function (path) {
+                        return _.isEmpty(paths[path]);
+                    })),
+                    schemas: schemas
+                };
+            });
+        };
+
+        api.resources[resource.name] = resource;
+        return resource;
+    };
+
+    /**
+     * Register several Models as resources of the instance
+     * @param  {Array|Object} [models=mongoose] list or map of mongoose Models, or a mongoose instance whose models are all registered
+     * @param  {Object} [modelOptions={}] configuration options per Model keyed by model or collection name
+     * @return {Object}                   API instance
+     */
+    api.register = function (models, modelOptions) {
+        modelOptions = modelOptions || {};
+        if (!models || models.models) {
+            models = (models || mongoose).models;
+        }
+        _.each(models, function (Model) {
+            api.resource(Model, modelOptions[Model.modelName] || modelOptions[Model.collection.name]);
+        });
+        return api;
+    };
+
+    /**
+     * Describe all resources available to the principal for discovery
+     * @param  {Object} principal authenticated principal, null when anonymous
+     * @return {Object}           Q promise resolving to the list of resource descriptions
+     */
+    api.describe = function (principal) {
+        return Q.all(_.map(api.resources, function (resource) {
+            return resource.describe(principal);
+        })).then(_.compact);
+    };
+
+    /**
+     * Build an OpenAPI 3 specification of the routes and schemas available to the principal
+     * @param  {Object} principal authenticated principal, null when anonymous
+     * @return {Object}           Q promise resolving to the OpenAPI specification
+     */
+    api.openapi = function (principal) {
+        var config = api.config,
+            spec = {
+                openapi: '3.0.3',
+                info: config.openApiInfo,
+                paths: {},
+                components: {
+                    schemas: {
+                        Error: {
+                            type: 'object',
+                            properties: {
+                                message: { type: 'string' },
+                                errors: { type: 'object' },
+                                correlationId: { type: 'string' }
+                            }
+                        },
+                        ResultsMeta: {
+                            type: 'object',
+                            properties: {
+                                documents: { type: 'integer' },
+                                pages: { type: 'integer' },
+                                limit: { type: 'integer' },
+                                offset: { type: 'integer' },
+                                links: {
+                                    type: 'object',
+                                    properties: {
+                                        first: { type: 'string' },
+                                        prev: { type: 'string' },
+                                        next: { type: 'string' },
+                                        last: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        Error: {
+                            description: 'Error',
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                        }
+                    },
+                    parameters: {
+                        limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 0 } },
+                        page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+                        sort: { name: 'sort', in: 'query', description: 'comma separated list of field:direction', schema: { type: 'string' } },
+                        after: { name: 'after', in: 'query', description: 'cursor to find documents after, empty for the first page', schema: { type: 'string' } },
+                        before: { name: 'before', in: 'query', description: 'cursor to find documents before, empty for the last page', schema: { type: 'string' } },
+                        count: { name: 'count', in: 'query', description: 'false to skip counting documents', schema: { type: 'boolean' } },
+                        query: { name: '_query', in: 'query', description: 'JSON encoded query', schema: { type: 'string' } },
+                        filter: { name: 'filter', in: 'query', description: 'RQL or FIQL filter expression', schema: { type: 'string' } },
+                        expand: { name: 'expand', in: 'query', description: 'comma separated list of references to expand, eg. author(name,email),comments.author', schema: { type: 'string' } },
+                        projection: { name: 'projection', in: 'query', description: 'comma separated list of fields of the document responded with', schema: { type: 'string' } }
+                    },
+                    securitySchemes: {}
+                }
+            };
+
+        spec.paths[config.baseURL] = {
+            get: {
+                summary: 'List the available resources',
+                responses: {
+                    200: { description: 'Resource index' },
+                    default: { $ref: '#/components/responses/Error' }
+                }
+            }
+        };
+
+        _.each(config.authStrategies, function (strategy, index) {
+            if (strategy.securityScheme) {
+                var name = strategy.securityScheme.scheme || strategy.securityScheme.type;
+                spec.components.securitySchemes[(spec.components.securitySchemes[name]) ? name + index : name] = strategy.securityScheme;
+            }
+        });
+        if (!_.isEmpty(spec.components.securitySchemes)) {
+            spec.security = _.map(spec.components.securitySchemes, function (scheme, name) {
+                var requirement = {};
+                requirement[name] = [];
+                return requirement;
+            }).concat({});
+        }
+
+        return Q.all(_.map(api.resources, function (resource) {
+            return resource.openapi(principal);
+        })).then(function (resources) {
+            _.each(_.compact(resources), function (resource) {
+                _.extend(spec.paths, resource.paths);
+                _.extend(spec.components.schemas, resource.schemas);
+            });
+            return spec;
+        });
+    };
+
+    /**
+     * Serve socket events of every registered resource to each socket connecting to a socket.io server or namespace.
+     * The listeners of each resource are built once and subscriptions are kept in rooms of the namespace
+     * @param  {Object} io socket.io server or namespace
+     * @return {Object}    API instance
+     */
+    api.serveSockets = function (io) {
+        var namespace = (_.isFunction(io.of) && io.sockets && _.isFunction(io.sockets.on)) ? io.sockets : io,
+            listeners = _.map(api.resources, function (resource) {
+                return createSocketListeners(resource.Model, resource.config, namespace);
+            });
+
+        namespace.on('connection', function (socket) {
+            _.each(listeners, function (resourceListeners) {
+                resourceListeners.connect(socket);
+            });
+        });
+        return api;
+    };
+
+    /**
+     * Serve REST routes of every registered resource along with an index of the resources at config.baseURL
+     * and the OpenAPI specification at config.openApiURL
+     * @param  {Object} app express application
+     * @return {Object}     API instance
+     */
+    api.serveRoutes = function (app) {
+        var config = api.config;
+
+        _.each(api.resources, function (resource) {
+            resource.serveRoutes(app);
+        });
+
+        config.log('log', '\tGET \t->', config.baseURL);
+        app.get(config.baseURL,
+            _.bind(config.authenticateUser, config),
+            /**
+             * List the resources, their URLs, supported methods and fields
+             * @param  {Object} req http request object
+             * @param  {Object} res http response object
+             * @return {Object}     Q promise resolving to the resource index
+             */
+            function getResourceIndex(req, res) {
+                return api.describe(req.user).then(
+                    function onFulfilled(resources) {
+                        config.serveJson(res, 200, {
+                            resources: resources
+                        });
+                    },
+                    function onRejected(error) {
+                        config.serveError(res, error);
+                    });
+            });
+
+        if (config.openApiURL) {
+            config.log('log', '\tGET \t->', config.baseURL + config.openApiURL);
+            app.get(config.baseURL + config.openApiURL,
+                _.bind(config.authenticateUser, config),
+                /**
+                 * Serve the OpenAPI specification of the routes available to the request principal
+                 * @param  {Object} req http request object
+                 * @param  {Object} res http response object
+                 * @return {Object}     Q promise resolving to the OpenAPI specification
+                 */
+                function getOpenApi(req, res) {
+                    return api.openapi(req.user).then(
+                        function onFulfilled(spec) {
+                            res.json(200, spec);
+                        },
+                        function onRejected(error) {
+                            config.serveError(res, error);
+                        });
+                });
+        }
+        return api;
     };
+
+    return api;
 };
@@ -0,0 +1,75 @@
+'use strict';
+
+// Node core and 3rd party modules
+var path = require('path');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+exports.aggregation = {
+    setUp: function (callback) {
+        this.config = edgeapi.create({
+            aggregateStages: ['$match', '$group', '$sort', '$limit', '$facet'],
+            aggregateOperators: ['$gt', '$sum', '$in'],
+            aggregateMaxStages: 3,
+            aggregateLimit: 100
+        }).config;
+        callback();
+    },
+    stages: function (test) {
+        var config = this.config;
+
+        test.expect(4);
+        test.throws(function () {
+            config.checkPipeline([{ $match: {} }, { $out: 'copies' }]);
+        }, /\$out at position 1 is forbidden/, 'Forbidden stage named');
+        test.throws(function () {
+            config.checkPipeline([{ $project: { email: 1 } }]);
+        }, /\$project at position 0 is not allowed/, 'Stage outside the allow-list named');
+        test.throws(function () {
+            config.checkPipeline([{ $facet: { all: [{ $lookup: {} }] } }]);
+        }, /\$lookup at position 0\.all\.0 is forbidden/, 'Stages of sub pipelines checked');
+        test.throws(function () {
+            config.checkPipeline([{ $match: {}, $sort: {} }]);
+        }, /Invalid aggregation stage at position 0/, 'Stages with several operators rejected');
+        test.done();
+    },
+    operators: function (test) {
+        var config = this.config;
+
+        test.expect(2);
+        test.throws(function () {
+            config.checkPipeline([{ $match: { $where: 'true' } }]);
+        }, /Operator \$where in aggregation stage \$match/, 'Operator outside the allow-list named');
+        test.doesNotThrow(function () {
+            config.checkPipeline([{ $match: { age: { $gt: 1 } } }, { $group: { _id: null, total: { $sum: 1 } } }]);
+        }, 'Allowed operators accepted');
+        test.done();
+    },
+    limits: function (test) {
+        var config = this.config,
+            error;
+
+        test.expect(4);
+        try {
+            config.checkPipeline([{ $match: {} }, { $sort: {} }, { $limit: 5 }, { $limit: 1 }]);
+        } catch (e) {
+            error = e;
+        }
+        test.equal(config.classifyError(error).status, 400, 'Long pipelines rejected with 400');
+        test.deepEqual(config.checkPipeline([{ $match: {} }]), [{ $match: {} }, { $limit: 100 }], 'Limit forced');
+        test.deepEqual(config.checkPipeline([{ $limit: 5 }]), [{ $limit: 5 }], 'Lower limit kept');
+        test.deepEqual(config.checkPipeline([{ $limit: 500 }]), [{ $limit: 500 }, { $limit: 100 }], 'Higher limit capped');
+        test.done();
+    },
+    crud: function (test) {
+        var crud = edgeapi.create({ aggregateStages: ['$match'] }).config.crud(Sample);
+
+        test.expect(1);
+        crud.aggregate([{ $group: { _id: null } }]).then(null, function (error) {
+            test.equal(error.status, 400, 'Pipelines checked before running');
+            test.done();
+        });
+    }
+};
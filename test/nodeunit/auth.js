@@ -0,0 +1,120 @@
+'use strict';
+
+// Node core and 3rd party modules
+var path = require('path'),
+    _ = require('underscore');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var secret = 'edgeapi-test-secret';
+
+exports.auth = {
+    setUp: function (callback) {
+        this.config = _.extend({}, edgeapi.config, {
+            authStrategies: [
+                edgeapi.strategies.apiKey({ keys: { 'valid-key': { name: 'service', roles: ['service'] } } }),
+                edgeapi.strategies.bearer({ secret: secret })
+            ],
+            authPolicies: {
+                '*': { create: 'authenticated', read: true, update: 'authenticated', delete: ['admin'] },
+                samples: { delete: ['admin', 'service'] }
+            }
+        });
+        callback();
+    },
+    strategies: {
+        anonymous: function (test) {
+            test.expect(1);
+            this.config.authenticate({ headers: {}, query: {} }).then(function (principal) {
+                test.strictEqual(principal, null, 'No credentials, anonymous principal expected');
+                test.done();
+            });
+        },
+        apiKeyHeader: function (test) {
+            test.expect(1);
+            this.config.authenticate({ headers: { 'x-api-key': 'valid-key' } }).then(function (principal) {
+                test.equal(principal.name, 'service', 'API key resolved to principal');
+                test.done();
+            });
+        },
+        apiKeyInvalid: function (test) {
+            test.expect(1);
+            this.config.authenticate({ query: { apiKey: 'wrong-key' } }).then(null, function (error) {
+                test.equal(error.status, 401, 'Invalid API key rejected with 401');
+                test.done();
+            });
+        },
+        bearerToken: function (test) {
+            var token = edgeapi.signToken({ sub: 'ron', roles: ['admin'] }, secret, 60);
+
+            test.expect(1);
+            this.config.authenticate({ headers: { authorization: 'Bearer ' + token } }).then(function (principal) {
+                test.equal(principal.sub, 'ron', 'Bearer token resolved to claims');
+                test.done();
+            });
+        },
+        bearerTokenTampered: function (test) {
+            var token = edgeapi.signToken({ sub: 'ron' }, 'some-other-secret');
+
+            test.expect(1);
+            this.config.authenticate({ query: { accessToken: token } }).then(null, function (error) {
+                test.equal(error.status, 401, 'Token signed with another secret rejected with 401');
+                test.done();
+            });
+        },
+        bearerTokenExpired: function (test) {
+            var token = edgeapi.signToken({ sub: 'ron' }, secret, -1);
+
+            test.expect(1);
+            this.config.authenticate({ headers: { authorization: 'Bearer ' + token } }).then(null, function (error) {
+                test.equal(error.status, 401, 'Expired token rejected with 401');
+                test.done();
+            });
+        },
+        corsHeaders: function (test) {
+            var headers = {};
+
+            test.expect(1);
+            this.config.serveJson({
+                set: function (values) {
+                    _.extend(headers, values);
+                },
+                json: function () {}
+            }, 200, {});
+            test.equal(headers['Access-Control-Allow-Headers'], 'X-Requested-With, x-api-key, Authorization',
+                'Headers of the authentication strategies allowed cross origin');
+            test.done();
+        }
+    },
+    policies: {
+        anonymousRead: function (test) {
+            test.expect(1);
+            this.config.authorize(null, 'samples', 'read').then(function (permitted) {
+                test.ok(permitted, 'Anonymous read permitted');
+                test.done();
+            });
+        },
+        anonymousCreate: function (test) {
+            test.expect(1);
+            this.config.authorize(null, 'samples', 'create').then(null, function (error) {
+                test.equal(error.status, 401, 'Anonymous create requires authentication');
+                test.done();
+            });
+        },
+        roleRequired: function (test) {
+            test.expect(1);
+            this.config.authorize({ roles: ['editor'] }, 'others', 'delete').then(null, function (error) {
+                test.equal(error.status, 403, 'Delete without admin role forbidden');
+                test.done();
+            });
+        },
+        collectionOverride: function (test) {
+            test.expect(1);
+            this.config.authorize({ role: 'service' }, 'samples', 'delete').then(function (permitted) {
+                test.ok(permitted, 'Collection policy permits service role to delete');
+                test.done();
+            });
+        }
+    }
+};
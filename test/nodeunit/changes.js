@@ -0,0 +1,162 @@
+'use strict';
+
+// Node core and 3rd party modules
+var EventEmitter = require('events').EventEmitter,
+    mongoose = require('mongoose'),
+    path = require('path');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+/**
+ * Fake socket.io namespace recording the events emitted to rooms
+ * @return {Object} namespace
+ */
+function createNamespace() {
+    var namespace = new EventEmitter();
+    namespace.emitted = [];
+    namespace.in = function (room) {
+        return {
+            emit: function (event, payload) {
+                namespace.emitted.push([room, event, payload]);
+            }
+        };
+    };
+    namespace.connect = function () {
+        var socket = new EventEmitter();
+        socket.handshake = { headers: {}, query: {} };
+        socket.rooms = [];
+        socket.join = function (room) {
+            socket.rooms.push(room);
+        };
+        socket.leave = function (room) {
+            socket.rooms = socket.rooms.filter(function (joined) {
+                return joined !== room;
+            });
+        };
+        namespace.emit('connection', socket);
+        return socket;
+    };
+    return namespace;
+}
+
+exports.rooms = {
+    shared: function (test) {
+        var namespace = createNamespace(),
+            first,
+            second,
+            subscribed = 0;
+
+        edgeapi.create().register([Sample]).serveSockets(namespace);
+        first = namespace.connect();
+        second = namespace.connect();
+
+        function onSubscribed() {
+            if (++subscribed < 2) {
+                return;
+            }
+            edgeapi.changes.emit('change', { type: 'created', Model: Sample, document: { name: { first: 'Ron' } } });
+            test.deepEqual(first.rooms, second.rooms, 'Sockets with the same subscription share a room');
+            test.equal(namespace.emitted.length, 1, 'Change emitted once to the room');
+            test.equal(namespace.emitted[0][1], 'api.samples.created', 'Change emitted as created event');
+            first.emit('disconnect');
+            second.emit('disconnect');
+            test.equal(edgeapi.changes.listeners('change').length, 0, 'Change feed listener released with the last room');
+            test.done();
+        }
+
+        test.expect(4);
+        first.on('api.samples.subscribe.response', onSubscribed);
+        second.on('api.samples.subscribe.response', onSubscribed);
+        first.emit('api.samples.subscribe', { 'name.first': 'Ron' });
+        second.emit('api.samples.subscribe', { 'name.first': 'Ron' });
+    },
+    collection: function (test) {
+        var namespace = createNamespace(),
+            socket;
+
+        edgeapi.create().register([Sample]).serveSockets(namespace);
+        socket = namespace.connect();
+
+        test.expect(1);
+        socket.on('api.samples.subscribe.response', function () {
+            test.deepEqual(socket.rooms, ['api.samples'], 'Unfiltered subscription joins the collection room');
+            socket.emit('disconnect');
+            test.done();
+        });
+        socket.emit('api.samples.subscribe', {});
+    }
+};
+
+exports.changes = {
+    setUp: function (callback) {
+        var config = this;
+
+        config.socket = new EventEmitter();
+        config.socket.handshake = { headers: {}, query: {} };
+        config.events = [];
+        edgeapi.create({ fieldRules: { email: false } }).resource(Sample).serveSockets(config.socket);
+        config.socket.on('api.samples.subscribe.response', function () {
+            config.socket.on('api.samples.created', function (payload) {
+                config.events.push(['created', payload]);
+            });
+            config.socket.on('api.samples.removed', function (payload) {
+                config.events.push(['removed', payload]);
+            });
+            callback();
+        });
+        config.socket.emit('api.samples.subscribe', { 'name.first': 'Ron', subscription: 'ron' });
+    },
+    tearDown: function (callback) {
+        this.socket.emit('disconnect');
+        callback();
+    },
+    matching: function (test) {
+        var config = this,
+            id = new mongoose.Types.ObjectId();
+
+        edgeapi.changes.emit('change', { type: 'created', Model: Sample, document: { _id: id, name: { first: 'Ron' }, email: 'ron@bar.com' } });
+        edgeapi.changes.emit('change', { type: 'created', Model: Sample, document: { name: { first: 'Foo' } } });
+        edgeapi.changes.emit('change', { type: 'removed', Model: Sample, document: { _id: id, name: { first: 'Ron' } } });
+
+        test.expect(5);
+        test.equal(config.events.length, 2, 'Only changes matching the subscription emitted');
+        test.equal(config.events[0][1].subscription, 'ron', 'Subscription id included');
+        test.equal(config.events[0][1].document.name.first, 'Ron', 'Created document included');
+        test.ok(!config.events[0][1].document.email, 'Hidden fields removed from document');
+        test.equal(String(config.events[1][1].id), String(id), 'Removed document id included');
+        test.done();
+    },
+    leaving: function (test) {
+        var config = this,
+            id = new mongoose.Types.ObjectId();
+
+        config.socket.on('api.samples.updated', function (payload) {
+            config.events.push(['updated', payload]);
+        });
+        edgeapi.changes.emit('change', {
+            type: 'updated',
+            Model: Sample,
+            document: { _id: id, name: { first: 'Ed' }, email: 'ed@bar.com' },
+            previous: { _id: id, name: { first: 'Ron' } }
+        });
+
+        test.expect(3);
+        test.equal(config.events.length, 1, 'Document leaving the subscription emitted once');
+        test.equal(config.events[0][0], 'removed', 'Document leaving the subscription emitted as removed');
+        test.deepEqual(config.events[0][1], { subscription: 'ron', id: id }, 'Only the id of the document leaving emitted');
+        test.done();
+    },
+    unsubscribe: function (test) {
+        var config = this;
+
+        config.socket.emit('api.samples.unsubscribe', { subscription: 'ron' });
+        edgeapi.changes.emit('change', { type: 'created', Model: Sample, document: { name: { first: 'Ron' } } });
+
+        test.expect(2);
+        test.equal(config.events.length, 0, 'No changes emitted once unsubscribed');
+        test.equal(edgeapi.changes.listeners('change').length, 0, 'Change feed listener released');
+        test.done();
+    }
+};
@@ -147,5 +147,86 @@ exports.crud = {
                     });
                 });
         }
+    },
+    scope: {
+        scopedFind: function (test) {
+            var config = this,
+                crud = config.crud.api,
+                scoped = edgeapi.config.crud.call(_.extend({}, edgeapi.config, {
+                    scope: function (context) {
+                        return { email: context.user.email };
+                    }
+                }), Sample, { user: { email: 'scoped@bar.com' } });
+
+            test.expect(2);
+            crud.save(sampleDocument).then(
+                function (saved) {
+                    scoped.find({}).then(
+                    function (documents) {
+                        test.strictEqual(documents.length, 0, 'Documents outside of scope not found');
+                        scoped.findById(saved._id).then(
+                        function (document) {
+                            test.strictEqual(document, null, 'Document outside of scope not found by id');
+                            test.done();
+                        });
+                    });
+                });
+        }
+    },
+    hooks: {
+        vetoRemove: function (test) {
+            var config = this,
+                crud = config.crud.api,
+                hooked = edgeapi.config.crud.call(_.extend({}, edgeapi.config, {
+                    hooks: {
+                        before: {
+                            remove: function () {
+                                return edgeapi.createError(423, 'Document is locked');
+                            }
+                        }
+                    }
+                }), Sample);
+
+            test.expect(2);
+            crud.save(sampleDocument).then(
+                function (saved) {
+                    hooked.remove({_id: saved._id}).then(
+                        null,
+                        function (error) {
+                            test.equal(error.status, 423, 'Remove vetoed by before hook');
+                            crud.count({_id: saved._id}).then(
+                                function (count) {
+                                    test.strictEqual(count, 1, 'Document not removed');
+                                    test.done();
+                                });
+                        });
+                });
+        }
+    },
+    cursor: {
+        pages: function (test) {
+            var config = this,
+                crud = config.crud.api,
+                documents = _.map(['a', 'b', 'c'], function (first) {
+                    return _.extend({}, sampleDocument, { name: { first: first, last: 'Cursor' } });
+                });
+
+            test.expect(5);
+            crud.save(documents).then(
+                function () {
+                    return crud.find({}, 2, 'name.first:-1', {}, null, { after: '' });
+                }).then(
+                function (page) {
+                    test.deepEqual(_.pluck(_.pluck(page, 'name'), 'first'), ['c', 'b'], 'First page found by cursor');
+                    test.ok(page.cursor.next, 'Next cursor available');
+                    test.strictEqual(page.cursor.prev, null, 'No previous cursor on first page');
+                    return crud.find({}, 2, 'name.first:-1', {}, null, { after: page.cursor.next });
+                }).then(
+                function (page) {
+                    test.deepEqual(_.pluck(_.pluck(page, 'name'), 'first'), ['a'], 'Next page found after cursor');
+                    test.strictEqual(page.cursor.next, null, 'No next cursor on last page');
+                    test.done();
+                });
+        }
     }
 };
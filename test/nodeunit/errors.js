@@ -0,0 +1,73 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path'),
+    _ = require('underscore');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+exports.errors = {
+    validation: function (test) {
+        var error = new mongoose.Error.ValidationError(new Sample()),
+            classified;
+
+        error.errors.email = new mongoose.Error.ValidatorError('email', 'required', 'Path `email` is required.');
+        classified = edgeapi.config.classifyError(error);
+
+        test.expect(3);
+        test.equal(classified.status, 422, 'Validation error served as 422');
+        test.equal(classified.body.errors.email.path, 'email', 'Field error path included');
+        test.equal(classified.body.errors.email.kind, 'required', 'Field error kind included');
+        test.done();
+    },
+    cast: function (test) {
+        var classified = edgeapi.config.classifyError(new mongoose.Error.CastError('ObjectId', 'foo', '_id'));
+
+        test.expect(3);
+        test.equal(classified.status, 400, 'Cast error served as 400');
+        test.equal(classified.body.path, '_id', 'Cast error path included');
+        test.equal(classified.body.value, 'foo', 'Cast error value included');
+        test.done();
+    },
+    duplicate: function (test) {
+        var error = new Error('E11000 duplicate key error index: mongoose-edgeapi.samples.$email_1  dup key: { : "foo@bar.com" }'),
+            classified;
+
+        error.code = 11000;
+        classified = edgeapi.config.classifyError(error);
+
+        test.expect(2);
+        test.equal(classified.status, 409, 'Duplicate key error served as 409');
+        test.equal(classified.body.index, 'email_1', 'Duplicate key index included');
+        test.done();
+    },
+    unexpected: function (test) {
+        var logged = [],
+            config = _.extend({}, edgeapi.config, {
+                logger: {
+                    error: function () {
+                        logged.push(_.toArray(arguments));
+                    }
+                }
+            }),
+            classified = config.classifyError(new Error('connection lost'));
+
+        test.expect(4);
+        test.equal(classified.status, 500, 'Unexpected error served as 500');
+        test.equal(logged[0][0], '[' + classified.body.correlationId + ']', 'Correlation id logged and returned');
+        test.ok(/connection lost/.test(logged[0][1]), 'Error logged through the configured logger');
+        test.notEqual(classified.body.message, 'connection lost', 'Internal error message not returned');
+        test.done();
+    },
+    socket: function (test) {
+        var serialized = edgeapi.config.serializeError(edgeapi.createError(403, 'Not permitted'));
+
+        test.expect(2);
+        test.equal(serialized.status, 403, 'Status included in socket error');
+        test.equal(serialized.message, 'Not permitted', 'Message included in socket error');
+        test.done();
+    }
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path'),
+    _ = require('underscore');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var ObjectId = mongoose.Schema.Types.ObjectId,
+    Publisher = mongoose.model('Publisher', new mongoose.Schema({ name: String })),
+    Writer = mongoose.model('Writer', new mongoose.Schema({
+        name: String,
+        email: String,
+        publisher: { type: ObjectId, ref: 'Publisher' }
+    })),
+    Novel = mongoose.model('Novel', new mongoose.Schema({
+        title: String,
+        writer: { type: ObjectId, ref: 'Writer' },
+        reviewers: [{ type: ObjectId, ref: 'Writer' }]
+    }));
+
+/**
+ * Replace Model.populate of the models with one recording its options and populating from fixtures
+ * @param  {Array} populated options of every populate call
+ */
+function stubPopulate(populated) {
+    _.each([Novel, Writer], function (Model) {
+        Model.populate = function (documents, options, callback) {
+            populated.push(_.extend({ Model: Model.modelName }, options));
+            _.each([].concat(documents), function (document) {
+                document[options.path] = { name: 'Ed', publisher: 'p1' };
+            });
+            callback(null, documents);
+        };
+    });
+}
+
+exports.expand = {
+    setUp: function (callback) {
+        this.populated = [];
+        stubPopulate(this.populated);
+        this.api = edgeapi.create();
+        this.api.resource(Writer, { fieldRules: { email: false } });
+        this.novels = this.api.resource(Novel);
+        callback();
+    },
+    projections: function (test) {
+        var populated = this.populated;
+
+        test.expect(4);
+        this.novels.crud().populate([{ title: 'Emma', writer: 'w1' }], 'writer(name,email),reviewers').then(function () {
+            test.equal(populated.length, 2, 'Each reference populated');
+            test.deepEqual(populated[0].select, { name: 1 }, 'Fields hidden by the referenced resource left out of projections');
+            test.deepEqual(populated[1].select, { email: 0 }, 'Hidden fields of the referenced resource excluded');
+            test.equal(populated[1].model, 'Writer', 'Arrays of references expanded');
+            test.done();
+        });
+    },
+    nested: function (test) {
+        var populated = this.populated;
+
+        test.expect(4);
+        this.novels.crud().populate({ title: 'Emma', writer: 'w1' }, ['writer.publisher']).then(function (document) {
+            test.deepEqual(_.pluck(populated, 'Model'), ['Novel', 'Writer'], 'References expanded through populated documents');
+            test.equal(populated[1].path, 'publisher', 'Nested path expanded on the referenced Model');
+            test.equal(populated[1].model, Publisher.modelName, 'Nested reference expanded with the Model it points to');
+            test.ok(document.writer, 'Document resolved');
+            test.done();
+        });
+    },
+    errors: function (test) {
+        var api = edgeapi.create({ authPolicies: { writers: { read: false } } }),
+            crud = api.resource(Novel).crud();
+
+        api.resource(Writer);
+        test.expect(2);
+        crud.populate([{}], 'title').then(null, function (error) {
+            test.equal(error.status, 400, 'Paths that aren\'t references rejected');
+            return crud.populate([{}], 'writer');
+        }).then(null, function (error) {
+            test.equal(error.status, 401, 'References the caller can\'t read rejected');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+// Node core and 3rd party modules
+var path = require('path'),
+    _ = require('underscore');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+exports.fields = {
+    setUp: function (callback) {
+        this.config = _.extend({}, edgeapi.config, {
+            fieldRules: {
+                email: false,
+                'friends.$.email': { readable: ['admin'] },
+                name: { writable: 'authenticated', sortable: false }
+            }
+        });
+        this.fields = _.union(this.config.getSchemaFields(Sample.schema), this.config.getVirtualFields(Sample.schema));
+        callback();
+    },
+    permissions: {
+        hidden: function (test) {
+            var config = this.config;
+
+            test.expect(2);
+            test.deepEqual(config.getHiddenFields(null), ['email', 'friends.email'], 'Hidden fields for anonymous principal');
+            test.deepEqual(config.getHiddenFields({ roles: ['admin'] }), ['email'], 'Hidden fields for admin principal');
+            test.done();
+        },
+        inherited: function (test) {
+            var config = this.config;
+
+            test.expect(3);
+            test.ok(!config.isFieldPermitted('name.first', 'writable', null), 'Nested field inherits parent rule');
+            test.ok(config.isFieldPermitted('name.first', 'writable', { name: 'ron' }), 'Authenticated principal may write');
+            test.ok(config.isFieldPermitted('name.first', 'queryable', null), 'Queryable defaults to readable');
+            test.done();
+        },
+        queryable: function (test) {
+            var config = this.config,
+                query = config.buildQueryFromParams({ email: 'foo@bar.com', 'name.first': 'Foo' },
+                    config.getPermittedFields(this.fields, 'queryable', null));
+
+            test.expect(1);
+            test.deepEqual(query, { 'name.first': 'Foo' }, 'Hidden fields discarded from query');
+            test.done();
+        },
+        projection: function (test) {
+            var config = this.config,
+                projection = config.buildProjectionFromString('email,name.first',
+                    config.getPermittedFields(this.fields, 'readable', null));
+
+            test.expect(1);
+            test.deepEqual(projection, { 'name.first': 1 }, 'Hidden fields discarded from projection');
+            test.done();
+        },
+        nestedProjection: function (test) {
+            var find = Sample.find,
+                projections = [],
+                crud = this.config.crud(Sample, {});
+
+            Sample.find = function (query, projection) {
+                var chain = {
+                    skip: function () { return chain; },
+                    limit: function () { return chain; },
+                    sort: function () { return chain; },
+                    exec: function (callback) {
+                        callback(null, []);
+                    }
+                };
+                projections.push(projection);
+                return chain;
+            };
+
+            test.expect(2);
+            crud.find({}, null, null, { friends: 1, 'name.first': 1 }).then(function () {
+                test.deepEqual(projections[0], {
+                    'friends.name.first': 1,
+                    'friends.name.last': 1,
+                    'friends._id': 1,
+                    'name.first': 1
+                }, 'Readable fields holding hidden fields replaced by their readable fields');
+                return crud.find({}, null, null, { 'name.last': 0 });
+            }).then(function () {
+                test.deepEqual(projections[1], { 'name.last': 0, email: 0, 'friends.email': 0 }, 'Hidden fields excluded');
+                Sample.find = find;
+                test.done();
+            });
+        }
+    },
+    serialization: {
+        hideFields: function (test) {
+            var config = this.config,
+                response = config.hideFields({
+                    documents: [{ email: 'foo@bar.com', friends: [{ email: 'lorem@ipsum.com', name: { first: 'Lorem' } }] }]
+                }, config.getHiddenFields(null));
+
+            test.expect(2);
+            test.ok(!_.has(response.documents[0], 'email'), 'Hidden field removed from document');
+            test.deepEqual(response.documents[0].friends, [{ name: { first: 'Lorem' } }], 'Hidden field removed from sub documents');
+            test.done();
+        }
+    }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var Member = mongoose.model('Member', new mongoose.Schema({
+    email: String,
+    age: Number,
+    tags: [String]
+}));
+
+var fields = ['email', 'age', 'tags'];
+
+exports.filters = {
+    rql: function (test) {
+        var query = edgeapi.config.buildFilterQuery('and(eq(email,foo@bar.com),or(gt(age,21),not(in(tags,a,b))))', fields, Member.schema);
+
+        test.expect(1);
+        test.deepEqual(query, { $and: [
+            { email: 'foo@bar.com' },
+            { $or: [{ age: { $gt: 21 } }, { $nor: [{ tags: { $in: ['a', 'b'] } }] }] }
+        ] }, 'RQL expression parsed and values coerced');
+        test.done();
+    },
+    fiql: function (test) {
+        var query = edgeapi.config.buildFilterQuery('age=ge=21;tags=out=(a,b),email==*@bar.com', fields, Member.schema);
+
+        test.expect(3);
+        test.deepEqual(query.$or[0], { $and: [{ age: { $gte: 21 } }, { tags: { $nin: ['a', 'b'] } }] },
+            '; binds tighter than ,');
+        test.equal(query.$or[1].email.$regex.source, '^.*@bar\\.com$', 'Wildcards converted to anchored expressions');
+        test.deepEqual(edgeapi.config.buildFilterQuery('email==a%2Cb', fields), { email: 'a,b' }, 'Values percent decoded');
+        test.done();
+    },
+    invalid: function (test) {
+        test.expect(4);
+        test.throws(function () {
+            edgeapi.config.buildFilterQuery('eq(password,secret)', fields);
+        }, /Unknown filter field: password/, 'Fields outside the acceptable fields rejected');
+        test.throws(function () {
+            edgeapi.config.buildFilterQuery('like(email,foo)', fields);
+        }, /Unknown filter operator: like/, 'Unknown operators rejected');
+        test.throws(function () {
+            edgeapi.config.buildFilterQuery('and(eq(age,1)', fields);
+        }, /Invalid filter/, 'Unbalanced expressions rejected');
+        test.throws(function () {
+            edgeapi.config.buildFilterQuery('age=gt=old', fields, Member.schema);
+        }, /age is not a number/, 'Values that can\'t be coerced rejected');
+        test.done();
+    },
+    count: function (test) {
+        var crud = edgeapi.create({ queryStrict: true, queryOperators: ['$and'] }).config.crud(Member);
+
+        test.expect(1);
+        crud.runAggregation('count', { query: '{"email":"foo@bar.com"}', filter: 'age=gt=21' }).then(null, function (error) {
+            test.equal(error.message, 'Query operator $gt is not allowed', 'Filter combined with the count query');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path'),
+    _ = require('underscore');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var Task = mongoose.model('Task', new mongoose.Schema({
+    title: String,
+    done: Boolean
+}));
+
+/**
+ * Replace the Task methods used by the CRUD API by ones recording the operations they run
+ * @param  {Array} calls calls made, each { method, query or document }
+ */
+function stubTask(calls) {
+    Task.find = function (query) {
+        var chain = {
+            skip: function () { return chain; },
+            limit: function () { return chain; },
+            sort: function () { return chain; },
+            exec: function (callback) {
+                calls.push({ method: 'find', query: query });
+                callback(null, [{ title: 'a' }, { title: 'b' }]);
+            }
+        };
+        return chain;
+    };
+    Task.create = function (document, callback) {
+        calls.push({ method: 'create', document: document });
+        callback(null, document);
+    };
+    Task.remove = function (query, callback) {
+        calls.push({ method: 'remove', query: query });
+        callback(null, 1);
+    };
+}
+
+/**
+ * Build a CRUD wrapper around the stubbed Task model running the given hooks
+ * @param  {Object} hooks before and after hooks, see config.hooks
+ * @return {Object}       CRUD wrapper
+ */
+function hooked(hooks) {
+    return edgeapi.config.crud.call(_.extend({}, edgeapi.config, { hooks: hooks }), Task, { user: { name: 'ann' } });
+}
+
+exports.hooks = {
+    setUp: function (callback) {
+        stubTask(this.calls = []);
+        callback();
+    },
+    order: function (test) {
+        var calls = this.calls,
+            record = function (name) {
+                return function (hook) {
+                    calls.push({ method: name, phase: hook.phase, operation: hook.operation });
+                };
+            };
+
+        test.expect(3);
+        hooked({
+            before: { '*': record('before *'), find: record('before find') },
+            after: { '*': record('after *'), find: record('after find') }
+        }).find({}).then(function () {
+            test.deepEqual(_.pluck(calls, 'method'), ['before *', 'before find', 'find', 'after *', 'after find'], 'Wildcard hooks run before the operation hooks, around the operation');
+            test.deepEqual(_.pluck(calls, 'phase'), ['before', 'before', undefined, 'after', 'after'], 'Phase handed to the hooks');
+            test.equal(calls[0].operation, 'find', 'Operation handed to the hooks');
+            test.done();
+        });
+    },
+    beforeModifies: function (test) {
+        var calls = this.calls;
+
+        test.expect(2);
+        hooked({
+            before: {
+                create: function (hook) {
+                    test.equal(hook.context.user.name, 'ann', 'Calling context handed to the hooks');
+                    hook.document.title = hook.document.title.toUpperCase();
+                }
+            }
+        }).save({ title: 'a' }).then(function () {
+            test.equal(calls[0].document.title, 'A', 'Document modified by before hook');
+            test.done();
+        });
+    },
+    veto: function (test) {
+        var calls = this.calls,
+            crud = hooked({
+                before: {
+                    remove: function () {
+                        return edgeapi.createError(423, 'Document is locked');
+                    },
+                    create: function () {
+                        throw edgeapi.createError(409, 'Title taken');
+                    }
+                }
+            });
+
+        test.expect(3);
+        crud.remove({ title: 'a' }).then(null, function (error) {
+            test.equal(error.status, 423, 'Remove vetoed by returned error');
+            return crud.save({ title: 'a' });
+        }).then(null, function (error) {
+            test.equal(error.status, 409, 'Create vetoed by thrown error');
+            test.equal(calls.length, 0, 'Vetoed operations not run');
+            test.done();
+        });
+    },
+    afterReplaces: function (test) {
+        test.expect(1);
+        hooked({
+            after: {
+                find: function (hook) {
+                    hook.result = _.pluck(hook.result, 'title');
+                }
+            }
+        }).find({}).then(function (result) {
+            test.deepEqual(result, ['a', 'b'], 'Result replaced by after hook');
+            test.done();
+        });
+    }
+};
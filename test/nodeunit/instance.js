@@ -0,0 +1,66 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var Other = mongoose.model('Other', new mongoose.Schema({ title: String }));
+
+exports.instance = {
+    layering: function (test) {
+        var api = edgeapi.create({ baseURL: '/v2/', queryLimit: 10 }),
+            samples = api.resource(Sample, { queryLimit: 50, name: 'people' }),
+            others = api.resource(Other);
+
+        test.expect(6);
+        test.equal(samples.config.queryLimit, 50, 'Model option overrides instance option');
+        test.equal(others.config.queryLimit, 10, 'Instance option applies to other models');
+        test.equal(samples.config.baseURL, '/v2/', 'Instance option applies to model');
+        test.equal(edgeapi.config.queryLimit, 0, 'Module config left untouched');
+        test.equal(samples.name, 'people', 'Resource name taken from model options');
+        test.equal(api.resources.others, others, 'Resource name defaults to collection name');
+        test.done();
+    },
+    hooks: function (test) {
+        var api = edgeapi.create(),
+            samples = api.resource(Sample),
+            others = api.resource(Other),
+            ran = [];
+
+        api.config.before('*', function (hook) {
+            ran.push('instance:' + hook.operation);
+        });
+        samples.before('create', function () {
+            ran.push('samples:create');
+        });
+
+        test.expect(2);
+        samples.config.runHooks('before', { operation: 'create' }).then(function () {
+            return others.config.runHooks('before', { operation: 'create' });
+        }).then(function () {
+            test.deepEqual(ran, ['instance:create', 'samples:create', 'instance:create'], 'Hooks layered per model');
+            test.ok(!(edgeapi.config.hooks.before['*']), 'Module hooks left untouched');
+            test.done();
+        });
+    },
+    registry: function (test) {
+        var api = edgeapi.create({
+                authPolicies: { '*': { delete: ['admin'] }, others: { read: false, create: false, update: false, aggregate: false } },
+                fieldRules: { email: false }
+            }).register([Sample, Other]);
+
+        test.expect(5);
+        api.describe(null).then(function (resources) {
+            test.equal(resources.length, 1, 'Resources without permitted operations omitted');
+            test.equal(resources[0].url, '/api/samples', 'Resource URL included');
+            test.deepEqual(resources[0].methods, ['POST', 'GET', 'PUT'], 'Only permitted methods listed');
+            test.ok(!~resources[0].fields.indexOf('email'), 'Hidden fields not listed');
+            test.ok(~resources[0].virtuals.indexOf('name.full'), 'Virtual fields listed');
+            test.done();
+        });
+    }
+};
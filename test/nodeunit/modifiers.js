@@ -0,0 +1,92 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var Listing = mongoose.model('Listing', new mongoose.Schema({
+    title: String,
+    price: Number,
+    listed: Date,
+    sold: Boolean,
+    seller: mongoose.Schema.Types.ObjectId,
+    tags: [Number]
+}));
+
+var fields = ['title', 'price', 'listed', 'sold', 'seller', 'tags'];
+
+exports.modifiers = {
+    ranges: function (test) {
+        var query = edgeapi.config.buildQueryFromParams({
+                'price.gte': '10',
+                'price.lt': '20',
+                'listed.between': '2013-01-01,2013-12-31',
+                'tags.in': '1,2'
+            }, fields, '', Listing.schema);
+
+        test.expect(3);
+        test.deepEqual(query.price, { $gte: 10, $lt: 20 }, 'Modifiers of a field combined and coerced');
+        test.equal(query.listed.$lte.getTime(), new Date('2013-12-31').getTime(), 'Range values coerced to dates');
+        test.deepEqual(query.tags, { $in: [1, 2] }, 'List values coerced to the type of array values');
+        test.done();
+    },
+    values: function (test) {
+        var query = edgeapi.config.buildQueryFromParams({
+                'title.startswith': 'a.b',
+                'sold.exists': 'false',
+                'seller.ne': '51a4fbb02b9bd2ec0e000001',
+                'listed.gte': 'now-7d'
+            }, fields, '', Listing.schema),
+            week = Date.now() - 7 * 86400000;
+
+        test.expect(4);
+        test.equal(query.title.$regex.source, '^a\\.b', 'Prefix escaped and anchored');
+        test.strictEqual(query.sold.$exists, false, 'Existence coerced to a boolean');
+        test.ok(query.seller.$ne instanceof mongoose.Types.ObjectId, 'Value coerced to an ObjectId');
+        test.ok(Math.abs(query.listed.$gte.getTime() - week) < 1000, 'Relative date resolved');
+        test.done();
+    },
+    invalid: function (test) {
+        test.expect(2);
+        test.throws(function () {
+            edgeapi.config.buildQueryFromParams({ 'price.gt': 'cheap' }, fields, '', Listing.schema);
+        }, /price is not a number/, 'Values that can\'t be coerced rejected');
+        test.deepEqual(edgeapi.config.buildQueryFromParams({ 'secret.contains': 'a' }, fields, '', Listing.schema), {},
+            'Modifiers of fields that can\'t be queried discarded');
+        test.done();
+    }
+};
+
+exports.coercion = {
+    query: function (test) {
+        var query = edgeapi.config.buildQueryFromParams({
+                price: '30',
+                sold: 'true',
+                listed: { $lt: '2013-06-01' },
+                $or: [{ tags: { $in: ['1', '2'] } }, { title: { $exists: '0' } }]
+            }, fields, '', Listing.schema);
+
+        test.expect(5);
+        test.strictEqual(query.price, 30, 'Number coerced');
+        test.strictEqual(query.sold, true, 'Boolean coerced');
+        test.ok(query.listed.$lt instanceof Date, 'Operator value coerced');
+        test.deepEqual(query.$or[0].tags.$in, [1, 2], 'Operator values of logical operators coerced');
+        test.strictEqual(query.$or[1].title.$exists, false, '$exists coerced to a boolean');
+        test.done();
+    },
+    body: function (test) {
+        var document = edgeapi.config.buildQueryFromParams({ title: '42', tags: ['3'], $inc: { price: '5' } }, fields, '', Listing.schema);
+
+        test.expect(4);
+        test.strictEqual(document.title, '42', 'Strings left as is');
+        test.deepEqual(document.tags, [3], 'Array values coerced');
+        test.strictEqual(document.$inc.price, 5, 'Update operator values coerced');
+        test.throws(function () {
+            edgeapi.config.buildQueryFromParams({ tags: { $in: ['1', 'many'] } }, fields, '', Listing.schema);
+        }, /tags is not a number: many/, 'Values that can\'t be coerced rejected');
+        test.done();
+    }
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+// Node core and 3rd party modules
+var path = require('path');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+exports.openapi = {
+    jsonSchema: function (test) {
+        var schema = edgeapi.config.buildJsonSchema(Sample.schema);
+
+        test.expect(4);
+        test.equal(schema.properties.name.type, 'object', 'Nested paths converted to objects');
+        test.equal(schema.properties.name.properties.first.type, 'string', 'Nested path types converted');
+        test.equal(schema.properties.friends.type, 'array', 'Sub document arrays converted to arrays');
+        test.equal(schema.properties.friends.items.properties.email.type, 'string', 'Sub document paths converted');
+        test.done();
+    },
+    permissions: function (test) {
+        var config = edgeapi.create({ fieldRules: { email: { writable: false } } }).config;
+
+        test.expect(2);
+        test.ok(config.buildJsonSchema(Sample.schema, 'readable', null).properties.email, 'Readable field included');
+        test.ok(!config.buildJsonSchema(Sample.schema, 'writable', null).properties.email, 'Unwritable field excluded from input');
+        test.done();
+    },
+    spec: function (test) {
+        var api = edgeapi.create({
+                authStrategies: [edgeapi.strategies.apiKey({ keys: {} })],
+                authPolicies: { '*': { delete: false, aggregate: false } }
+            });
+
+        api.resource(Sample);
+        test.expect(7);
+        api.openapi(null).then(function (spec) {
+            test.equal(spec.openapi, '3.0.3', 'OpenAPI version included');
+            test.ok(spec.paths['/api/samples'].post, 'Create operation described');
+            test.ok(!spec.paths['/api/samples'].delete, 'Operations not permitted omitted');
+            test.ok(!spec.paths['/api/samples/count'], 'Aggregations not permitted omitted');
+            test.ok(spec.components.schemas.SampleInput, 'Input schema described');
+            test.ok(spec.paths['/api/samples/{id}/friends/{subId}'].put, 'Sub document operations described');
+            test.equal(spec.components.securitySchemes.apiKey.name, 'x-api-key', 'Security scheme described');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+// Node core and 3rd party modules
+var path = require('path');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+/**
+ * Replace Sample.find with one recording its query and projection and finding fixtures
+ * @param  {Array} documents documents found
+ * @param  {Array} finds     query and projection of every find
+ * @return {Function}        original Sample.find
+ */
+function stubFind(documents, finds) {
+    var find = Sample.find;
+
+    Sample.find = function (query, projection) {
+        var chain = {
+            limit: function () { return chain; },
+            sort: function () { return chain; },
+            exec: function (callback) {
+                callback(null, documents.slice());
+            }
+        };
+        finds.push({ query: query, projection: projection });
+        return chain;
+    };
+    return find;
+}
+
+exports.pagination = {
+    setUp: function (callback) {
+        this.crud = edgeapi.create({ queryCount: false }).config.crud(Sample);
+        this.finds = [];
+        this.find = stubFind([
+            new Sample({ email: 'a@bar.com' }),
+            new Sample({ name: { first: 'b' } }),
+            new Sample({ name: { first: 'c' } })
+        ], this.finds);
+        callback();
+    },
+    tearDown: function (callback) {
+        Sample.find = this.find;
+        callback();
+    },
+    getCursor: function (test) {
+        var config = edgeapi.config;
+
+        test.expect(3);
+        test.strictEqual(config.getCursor({ page: 2 }), null, 'Page pagination by default');
+        test.deepEqual(config.getCursor({ after: 'abc', limit: 10 }), { after: 'abc' }, 'Cursor pagination when after supplied');
+        test.deepEqual(edgeapi.create({ queryPagination: 'cursor' }).config.getCursor({}), {}, 'Cursor pagination by default');
+        test.done();
+    },
+    cursorLinks: function (test) {
+        var documents = [{}, {}];
+
+        Object.defineProperty(documents, 'cursor', { value: { next: 'next-cursor', prev: null } });
+        test.expect(4);
+        this.crud.buildResultsMeta('/api/samples', { limit: 2, after: 'this-cursor' }, {}, documents).then(function (meta) {
+            test.strictEqual(meta.documents, null, 'Documents not counted');
+            test.equal(meta.links.next, '/api/samples?limit=2&after=next-cursor', 'Next link carries cursor');
+            test.equal(meta.links.prev, '', 'No previous link without a previous cursor');
+            test.equal(meta.links.last, '/api/samples?limit=2&before=', 'Last link starts before the end');
+            test.done();
+        });
+    },
+    cursorProjection: function (test) {
+        var finds = this.finds,
+            projection = edgeapi.config.buildProjectionFromString('email:1');
+
+        test.expect(1);
+        this.crud.find({}, 2, 'name.first:1', projection, null, { after: '' }).then(function () {
+            test.deepEqual(finds[0].projection, { email: '1', 'name.first': 1, _id: 1 }, 'Cursor keys added to projections');
+            test.done();
+        });
+    },
+    nullCursor: function (test) {
+        var crud = this.crud,
+            finds = this.finds;
+
+        test.expect(3);
+        crud.find({}, 1, 'name.first:1', {}, null, { after: '' }).then(function (page) {
+            return crud.find({}, 1, 'name.first:1', {}, null, { after: page.cursor.next });
+        }).then(function () {
+            test.deepEqual(finds[1].query.$or[0], { 'name.first': { $ne: null } }, 'Documents after a null value are those holding one');
+            test.ok(finds[1].query.$or[1]._id.$gt, 'Documents holding null follow by _id');
+            return crud.find({}, 2, 'name.first:-1', {}, null, { after: '' });
+        }).then(function (page) {
+            return crud.find({}, 2, 'name.first:-1', {}, null, { after: page.cursor.next });
+        }).then(function () {
+            test.deepEqual(finds[3].query.$or[0], { $or: [{ 'name.first': { $lt: 'b' } }, { 'name.first': null }] },
+                'Documents holding null follow the others in descending order');
+            test.done();
+        });
+    },
+    keysetQuery: function (test) {
+        var crud = this.crud,
+            finds = this.finds,
+            documents = [
+                new Sample({ name: { first: 'b', last: 'x' } }),
+                new Sample({ name: { first: 'c', last: 'y' } })
+            ],
+            sort = 'name.last:1,name.first:-1';
+
+        stubFind(documents, finds);
+        test.expect(3);
+        crud.find({}, 1, sort, {}, null, { after: '' }).then(function (page) {
+            return crud.find({}, 1, sort, {}, null, { after: page.cursor.next });
+        }).then(function (page) {
+            test.deepEqual(finds[1].query.$or.slice(0, 2), [
+                { 'name.last': { $gt: 'x' } },
+                { 'name.last': 'x', $or: [{ 'name.first': { $lt: 'b' } }, { 'name.first': null }] }
+            ], 'Documents after the cursor follow it on the first key or tie and follow it on the next');
+            test.equal(String(finds[1].query.$or[2].$or[0]._id.$lt), String(documents[0]._id),
+                'Identifier decoded from the cursor breaks ties in the direction of the last key');
+            return crud.find({}, 1, sort, {}, null, { before: page.cursor.prev });
+        }).then(function () {
+            test.deepEqual(finds[2].query.$or[0], { $or: [{ 'name.last': { $lt: 'x' } }, { 'name.last': null }] },
+                'Documents before the cursor precede it');
+            test.done();
+        });
+    },
+    invalidCursor: function (test) {
+        var crud = this.crud;
+
+        test.expect(2);
+        crud.find({}, 1, 'name.first:1', {}, null, { after: 'abc' }).then(null, function (error) {
+            test.equal(error.status, 400, 'Tampered cursor rejected');
+            return crud.find({}, 1, 'name.first:1', {}, null, { after: '' });
+        }).then(function (page) {
+            return crud.find({}, 1, 'email:1', {}, null, { after: page.cursor.next });
+        }).then(null, function (error) {
+            test.equal(error.message, 'Cursor does not match the sort order', 'Cursor of another sort rejected');
+            test.done();
+        });
+    },
+    uncountedPages: function (test) {
+        test.expect(3);
+        this.crud.buildResultsMeta('/api/samples', { limit: 2, page: 2 }, {}, [{}, {}]).then(function (meta) {
+            test.strictEqual(meta.pages, null, 'Pages unknown without count');
+            test.equal(meta.links.next, '/api/samples?limit=2&page=3', 'Next link offered for a full page');
+            test.equal(meta.links.prev, '/api/samples?limit=2&page=1', 'Previous link offered');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path'),
+    _ = require('underscore');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var Profile = mongoose.model('Profile', new mongoose.Schema({
+    email: { type: String, required: true },
+    name: { first: String, last: String },
+    age: Number,
+    tags: [String],
+    role: { type: String, default: 'member' },
+    notes: String
+}));
+
+/**
+ * Replace Profile.findOne and the collection update profiles are saved with by ones reading a fixture and
+ * recording queries and updates
+ * @param  {Object} fixture profile found, none for queries beyond its _id once finds.stale is set
+ * @param  {Array}  finds   queries profiles were found with
+ * @param  {Array}  saved   updates profiles were saved with
+ */
+function stubProfile(fixture, finds, saved) {
+    Profile.findOne = function (query, projection, callback) {
+        var profile = null;
+        finds.push(query);
+        if (!finds.stale || _.isEqual(_.keys(query), ['_id'])) {
+            profile = new Profile();
+            profile.init(fixture);
+        }
+        (callback || projection)(null, profile);
+    };
+    Profile.collection.update = function (query, update, options, callback) {
+        saved.push(update);
+        callback(null, 1);
+    };
+}
+
+exports.patch = {
+    setUp: function (callback) {
+        this.id = new mongoose.Types.ObjectId();
+        this.finds = [];
+        this.saved = [];
+        stubProfile({ _id: this.id, email: 'jo@doe.com', name: { first: 'Jo', last: 'Doe' }, age: 30, tags: ['a', 'b'] }, this.finds, this.saved);
+        this.crud = edgeapi.create().config.crud(Profile);
+        callback();
+    },
+    mergePatch: function (test) {
+        var saved = this.saved;
+
+        test.expect(3);
+        this.crud.patch(this.id, { name: { first: 'Al' }, age: null, tags: ['c'] }).then(function (document) {
+            test.deepEqual(saved[0].$set, { 'name.first': 'Al', tags: ['c'] }, 'Merge patch merged into the document');
+            test.deepEqual(saved[0].$unset, { age: 1 }, 'Fields patched with null removed');
+            test.equal(document.name.first, 'Al', 'Patched document resolved');
+            test.done();
+        });
+    },
+    jsonPatch: function (test) {
+        var finds = this.finds,
+            saved = this.saved,
+            id = this.id;
+
+        test.expect(3);
+        this.crud.patch(this.id, [
+            { op: 'test', path: '/name/last', value: 'Doe' },
+            { op: 'replace', path: '/name/first', value: 'Al' },
+            { op: 'add', path: '/tags/-', value: 'c' },
+            { op: 'move', from: '/age', path: '/name/age' }
+        ], 'json').then(function (document) {
+            test.deepEqual(finds[1], {
+                _id: id,
+                'name.first': 'Jo',
+                'name.age': { $exists: false },
+                tags: { $size: 2 },
+                'tags.0': 'a',
+                'tags.1': 'b',
+                age: 30,
+                'name.last': 'Doe'
+            }, 'Patch only saved to the document as patched');
+            test.deepEqual(_.pick(saved[0].$set, 'name.first', 'tags'), { 'name.first': 'Al', tags: ['a', 'b', 'c'] }, 'JSON Patch saved');
+            test.equal(document.name.first, 'Al', 'Patched document resolved');
+            test.done();
+        });
+    },
+    conflicts: function (test) {
+        var crud = this.crud,
+            id = this.id,
+            finds = this.finds;
+
+        test.expect(3);
+        crud.patch(id, [{ op: 'test', path: '/age', value: 31 }], 'json').then(null, function (error) {
+            test.equal(error.status, 409, 'Failed tests rejected with 409');
+            finds.stale = true;
+            return crud.patch(id, [{ op: 'remove', path: '/tags/0' }], 'json');
+        }).then(null, function (error) {
+            test.equal(error.status, 409, 'Documents changed in the meantime rejected with 409');
+            return crud.patch(id, [{ op: 'remove', path: '/name/middle' }], 'json');
+        }).then(null, function (error) {
+            test.equal(error.status, 400, 'Missing paths rejected with 400');
+            test.done();
+        });
+    },
+    replace: function (test) {
+        var crud = this.crud,
+            id = this.id,
+            saved = this.saved;
+
+        test.expect(4);
+        crud.replace(id, { email: 'al@doe.com', name: { first: 'Al' } }).then(function (document) {
+            test.deepEqual(saved[0].$set, { email: 'al@doe.com', 'name.first': 'Al' }, 'Fields sent set');
+            test.deepEqual(_.pick(saved[0].$unset, 'name.last', 'age', 'tags'), { 'name.last': 1, age: 1, tags: 1 },
+                'Fields missing from the replacement removed, fields with a default left with their value');
+            test.equal(document.email, 'al@doe.com', 'Replaced document resolved');
+            return crud.replace(id, { age: 30 });
+        }).then(null, function (error) {
+            test.equal(error.name, 'ValidationError', 'Replacement validated as a whole');
+            test.done();
+        });
+    },
+    replacePermitted: function (test) {
+        var crud = edgeapi.create({
+                fieldRules: { age: { writable: false }, notes: false },
+                rejectUnwritableFields: true
+            }).config.crud(Profile),
+            id = this.id,
+            saved = this.saved;
+
+        stubProfile({ _id: id, email: 'jo@doe.com', age: 30, role: 'admin', notes: 'vip' }, this.finds, saved);
+        test.expect(5);
+        crud.replace(id, { email: 'al@doe.com' }).then(function (document) {
+            test.deepEqual(saved[0].$set, { email: 'al@doe.com' }, 'Fields sent set');
+            test.deepEqual(_.pick(saved[0].$unset || {}, 'age', 'notes', 'role'), {}, 'Fields not writable, hidden fields and fields with a default left untouched');
+            test.equal(document.age, 30, 'Fields not writable keep their value');
+            test.equal(document.role, 'admin', 'Fields with a default keep their value rather than being reset');
+            return crud.replace(id, { email: 'al@doe.com', age: 20 });
+        }).then(null, function (error) {
+            test.equal(error.status, 403, 'Fields not writable rejected');
+            test.done();
+        });
+    }
+};
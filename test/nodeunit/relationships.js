@@ -0,0 +1,104 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path'),
+    _ = require('underscore');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var ObjectId = mongoose.Schema.Types.ObjectId,
+    Author = mongoose.model('Author', new mongoose.Schema({ name: String })),
+    Book = mongoose.model('Book', new mongoose.Schema({
+        title: String,
+        author: { type: ObjectId, ref: 'Author' },
+        editor: { type: ObjectId, ref: 'Author' }
+    })),
+    Shelf = mongoose.model('Shelf', new mongoose.Schema({
+        label: String,
+        authors: [{ type: ObjectId, ref: 'Author' }]
+    }));
+
+exports.relationships = {
+    setUp: function (callback) {
+        var updates = this.updates = [];
+
+        Shelf.update = function (query, update, options, callback) {
+            updates.push({ query: query, update: update });
+            callback(null, 1, { n: 1, nModified: 0 });
+        };
+        this.api = edgeapi.create({ authPolicies: { books: { read: false } } }).register([Author, Book, Shelf]);
+        callback();
+    },
+    derived: function (test) {
+        var relationships = this.api.config.getRelationships(Author);
+
+        test.expect(3);
+        test.deepEqual(_.pluck(relationships, 'name'), ['books.author', 'books.editor', 'shelves'],
+            'Relationships named after the referencing resource, and path when there are several');
+        test.equal(relationships[2].resource, this.api.resources.shelves, 'Referencing resource included');
+        test.deepEqual(_.pluck(relationships, 'many'), [false, false, true], 'Arrays of references flagged');
+        test.done();
+    },
+    link: function (test) {
+        var updates = this.updates,
+            crud = this.api.resources.shelves.crud();
+
+        test.expect(3);
+        crud.link('s1', 'authors', 'a1').then(function (counts) {
+            test.deepEqual(counts, { matched: 1, modified: 0, deleted: 0 }, 'Documents matched and modified counted');
+            return crud.unlink('s1', 'authors', 'a1');
+        }).then(function () {
+            test.deepEqual(updates[0], { query: { _id: 's1' }, update: { $addToSet: { authors: 'a1' } } }, 'Reference added once');
+            test.deepEqual(updates[1].update, { $pull: { authors: 'a1' } }, 'Reference removed');
+            test.done();
+        });
+    },
+    errors: function (test) {
+        test.expect(1);
+        this.api.resources.shelves.crud().link('s1', 'label', 'a1').then(null, function (error) {
+            test.equal(error.status, 400, 'Paths other than arrays of references rejected');
+            test.done();
+        });
+    },
+    queryable: function (test) {
+        var routes = {},
+            app = {},
+            req = { params: { id: 'a1' }, query: {}, headers: {} },
+            res = { set: function () {} },
+            handlers;
+
+        _.each(['get', 'post', 'put', 'patch', 'delete'], function (method) {
+            app[method] = function (path) {
+                routes[method + ' ' + path] = _.rest(arguments);
+            };
+        });
+        edgeapi.create().register([Author, Shelf], { Shelf: { fieldRules: { authors: { queryable: false } } } }).serveRoutes(app);
+        handlers = routes['get /api/authors/:id/shelves'].slice();
+
+        test.expect(2);
+        res.json = function (code, body) {
+            test.equal(code, 403, 'Related documents not found by a path the caller can\'t query');
+            test.equal(body.message, 'Not permitted to query field: authors', 'Path named');
+            test.done();
+        };
+        (function next() {
+            var handler = handlers.shift();
+            if (handler && handler.length < 4) {
+                handler(req, res, next);
+            }
+        }());
+    },
+    openapi: function (test) {
+        test.expect(3);
+        this.api.resources.authors.openapi(null).then(function (spec) {
+            var link = spec.paths['/api/authors/{id}/shelves/{relatedId}'].put;
+
+            test.ok(spec.paths['/api/authors/{id}/shelves'].get, 'Relationship described');
+            test.ok(link.responses[200].content['application/json'].schema.properties.matched, 'Link described, responding with counts');
+            test.ok(!spec.paths['/api/authors/{id}/books.author'], 'Relationships the principal can\'t read omitted');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+// Node core and 3rd party modules
+var EventEmitter = require('events').EventEmitter,
+    mongoose = require('mongoose'),
+    path = require('path');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var schema = new mongoose.Schema({
+        title: { type: String, required: true },
+        status: { type: String, enum: ['open', 'closed'] },
+        secret: String,
+        touched: Boolean
+    });
+
+schema.pre('save', function (next) {
+    this.touched = true;
+    next();
+});
+
+var Ticket = mongoose.model('Ticket', schema);
+
+/**
+ * Replace Ticket.findOne, Ticket.update, Ticket.remove and the collection tickets are saved and removed with
+ * by ones reading a fixture and recording the changes made
+ * @param  {Object} fixture ticket found, none when the query doesn't match its _id
+ * @param  {Array}  changes changes made
+ */
+function stubTicket(fixture, changes) {
+    Ticket.findOne = function (query, callback) {
+        var ticket = null;
+        if (String(query._id) === String(fixture._id)) {
+            ticket = new Ticket();
+            ticket.init(fixture);
+        }
+        callback(null, ticket);
+    };
+    Ticket.update = function (query, update, options, callback) {
+        changes.push({ update: update });
+        callback(null, 2, { n: 2, nModified: 1 });
+    };
+    Ticket.remove = function (query, callback) {
+        changes.push({ remove: query });
+        callback(null, 3);
+    };
+    Ticket.collection.update = function (query, update, options, callback) {
+        changes.push({ save: update });
+        callback(null, 1);
+    };
+    Ticket.collection.remove = function (query, options, callback) {
+        changes.push({ remove: query });
+        callback(null, 1);
+    };
+}
+
+exports.results = {
+    setUp: function (callback) {
+        this.id = new mongoose.Types.ObjectId();
+        this.changes = [];
+        stubTicket({ _id: this.id, title: 'Broken', status: 'open', secret: 'x' }, this.changes);
+        this.api = edgeapi.create({ fieldRules: { secret: false } }).register([Ticket]);
+        this.crud = this.api.resources.tickets.crud();
+        callback();
+    },
+    findOneAndUpdate: function (test) {
+        var changes = this.changes,
+            crud = this.crud;
+
+        test.expect(4);
+        crud.findByIdAndUpdate(this.id, { title: 'Fixed', $unset: { status: 1 } }, { title: 1, status: 1, secret: 1 }).then(function (ticket) {
+            test.deepEqual(changes[0].save.$set, { title: 'Fixed', touched: true }, 'Middleware run on save');
+            test.deepEqual(changes[0].save.$unset, { status: 1 }, 'Fields unset');
+            test.deepEqual(ticket, { _id: ticket._id, title: 'Fixed' }, 'Updated document projected, hidden fields left out');
+            return crud.findByIdAndUpdate(new mongoose.Types.ObjectId(), { status: 'closed' });
+        }).then(function (ticket) {
+            test.strictEqual(ticket, null, 'Unknown document resolves to null');
+            test.done();
+        });
+    },
+    validation: function (test) {
+        var changes = this.changes,
+            crud = this.crud,
+            id = this.id;
+
+        test.expect(4);
+        crud.findByIdAndUpdate(id, { status: 'lost' }).then(null, function (error) {
+            test.equal(error.name, 'ValidationError', 'Validators run on save');
+            test.equal(changes.length, 0, 'Invalid document not saved');
+            return crud.findByIdAndUpdate(id, { $set: { status: 'closed' }, $rename: { title: 'name' } });
+        }).then(null, function (error) {
+            test.equal(error.status, 400, 'Operators only bulk updates support rejected');
+            test.equal(changes.length, 0, 'Nothing saved when an operator is rejected');
+            test.done();
+        });
+    },
+    findOneAndRemove: function (test) {
+        var changes = this.changes,
+            id = this.id;
+
+        test.expect(2);
+        this.crud.findByIdAndRemove(id, { title: 1 }).then(function (ticket) {
+            test.deepEqual(changes[0].remove, { _id: id }, 'Document removed');
+            test.deepEqual(ticket, { _id: ticket._id, title: 'Broken' }, 'Removed document projected');
+            test.done();
+        });
+    },
+    counts: function (test) {
+        var crud = this.crud;
+
+        test.expect(2);
+        crud.updateMany({ status: 'open' }, { status: 'closed' }).then(function (counts) {
+            test.deepEqual(counts, { matched: 2, modified: 1, deleted: 0 }, 'Bulk updates counted');
+            return crud.removeMany({ status: 'closed' });
+        }).then(function (counts) {
+            test.deepEqual(counts, { matched: 3, modified: 0, deleted: 3 }, 'Bulk deletes counted');
+            test.done();
+        });
+    },
+    sockets: function (test) {
+        var socket = new EventEmitter(),
+            id = this.id;
+
+        socket.handshake = { headers: {}, query: {} };
+        this.api.resources.tickets.serveSockets(socket);
+
+        test.expect(4);
+        socket.emit('api.tickets.update', { id: id, status: 'closed', projection: { status: 1 } }, function (error, response) {
+            test.deepEqual(response.document, { _id: String(id), status: 'closed' }, 'Document updated by id replied with');
+            socket.emit('api.tickets.update', { _query: { status: 'open' }, status: 'closed' }, function (error, response) {
+                test.equal(response.modified, 1, 'Bulk update replied with counts');
+                socket.emit('api.tickets.update', { status: 'closed' }, function (error) {
+                    test.equal(error.status, 400, 'Update without an id or a _query rejected');
+                    socket.emit('api.tickets.delete', { status: 'closed' }, function (error, response) {
+                        test.equal(response.deleted, 3, 'Bulk delete replied with counts');
+                        socket.emit('disconnect');
+                        test.done();
+                    });
+                });
+            });
+        });
+    }
+};
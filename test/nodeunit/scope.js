@@ -0,0 +1,123 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path'),
+    Q = require('q'),
+    _ = require('underscore');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var Note = mongoose.model('Note', new mongoose.Schema({
+    title: String,
+    owner: String,
+    tags: [String]
+}));
+
+/**
+ * Replace the Note methods used by the CRUD API by ones recording the queries, pipelines and documents they receive
+ * @param  {Array} calls calls made, each { method, query, updates, pipeline or document }
+ */
+function stubNote(calls) {
+    Note.find = function (query) {
+        var chain = {
+            skip: function () { return chain; },
+            limit: function () { return chain; },
+            sort: function () { return chain; },
+            exec: function (callback) {
+                callback(null, []);
+            }
+        };
+        calls.push({ method: 'find', query: query });
+        return chain;
+    };
+    Note.create = function (document, callback) {
+        calls.push({ method: 'create', document: document });
+        callback(null, document);
+    };
+    Note.update = function (query, updates, options, callback) {
+        calls.push({ method: 'update', query: query, updates: updates });
+        callback(null, 1);
+    };
+    Note.aggregate = function (pipeline, callback) {
+        calls.push({ method: 'aggregate', pipeline: pipeline });
+        callback(null, []);
+    };
+}
+
+exports.scope = {
+    setUp: function (callback) {
+        var calls = this.calls = [],
+            config = _.extend({}, edgeapi.config, {
+                scope: function (context) {
+                    return (context.user) ? { owner: context.user.name } : null;
+                }
+            });
+
+        stubNote(calls);
+        this.crud = edgeapi.config.crud.call(config, Note, { user: { name: 'ann' } });
+        this.unscoped = edgeapi.config.crud.call(config, Note, {});
+        callback();
+    },
+    queries: function (test) {
+        var calls = this.calls,
+            crud = this.crud,
+            unscoped = this.unscoped;
+
+        test.expect(4);
+        crud.find({ title: 'a' }).then(function () {
+            test.deepEqual(calls[0].query, { $and: [{ title: 'a' }, { owner: 'ann' }] }, 'Scope combined with the query');
+            return crud.find({});
+        }).then(function () {
+            test.deepEqual(calls[1].query, { owner: 'ann' }, 'Scope used as the query when there is none');
+            return crud.group({ _id: '$title' });
+        }).then(function () {
+            test.deepEqual(calls[2].pipeline[0], { $match: { owner: 'ann' } }, 'Scope injected as the leading $match');
+            return unscoped.find({ title: 'a' });
+        }).then(function () {
+            test.deepEqual(calls[3].query, { title: 'a' }, 'Query left alone when unscoped');
+            test.done();
+        });
+    },
+    create: function (test) {
+        var calls = this.calls,
+            crud = this.crud;
+
+        test.expect(3);
+        crud.save({ title: 'a' }).then(function (document) {
+            test.equal(document.owner, 'ann', 'Scope stamped onto created document');
+            return crud.save({ title: 'b', owner: 'bob' });
+        }).then(null, function (error) {
+            test.equal(error.status, 403, 'Document outside of scope rejected');
+            test.equal(calls.length, 1, 'Document outside of scope not created');
+            test.done();
+        });
+    },
+    updates: function (test) {
+        var calls = this.calls,
+            crud = this.crud,
+            rejected = [];
+
+        test.expect(3);
+        crud.update({}, { $set: { owner: 'ann' }, $addToSet: { tags: 'a' } }).then(function () {
+            test.deepEqual(calls[0].query, { owner: 'ann' }, 'Update in scope run against the scoped query');
+            return Q.all(_.map([
+                { owner: 'bob' },
+                { $set: { owner: 'bob' } },
+                { $unset: { owner: 1 } },
+                { $rename: { title: 'owner' } },
+                { $rename: { owner: 'title' } },
+                { $set: { 'owner.name': 'ann' } }
+            ], function (updates) {
+                return crud.update({}, updates).then(null, function (error) {
+                    rejected.push(error.status);
+                });
+            }));
+        }).then(function () {
+            test.deepEqual(rejected, [403, 403, 403, 403, 403, 403], 'Updates moving the document out of scope rejected');
+            test.equal(calls.length, 1, 'Updates out of scope not run');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var articleSchema = new mongoose.Schema({ title: String, body: String });
+articleSchema.index({ title: 'text', body: 'text' });
+
+var Article = mongoose.model('Article', articleSchema);
+
+exports.search = {
+    textIndex: function (test) {
+        var crud = edgeapi.create({ searchTextIndex: true }).config.crud(Article),
+            unsupported = edgeapi.create({ searchTextIndex: false }).config.crud(Article);
+
+        test.expect(4);
+        test.ok(crud.isTextIndexed(), 'Text index detected');
+        test.deepEqual(crud.buildSearchQuery('mongoose api', { title: 'a' }), {
+            $and: [{ title: 'a' }, { $text: { $search: 'mongoose api' } }]
+        }, 'Text index searched');
+        test.ok(!unsupported.isTextIndexed(), 'Text index ignored without text search support');
+        test.ok(unsupported.buildSearchQuery('api').$or[0].title.$regex, 'Regular expressions searched without text search support');
+        test.done();
+    },
+    fallback: function (test) {
+        var crud = edgeapi.create({ fieldRules: { email: false } }).config.crud(Sample),
+            query = crud.buildSearchQuery('ed a.b');
+
+        test.expect(4);
+        test.ok(!crud.isTextIndexed(), 'Missing text index detected');
+        test.equal(query.$and.length, 2, 'Every word searched');
+        test.deepEqual(query.$and[1].$or.map(function (condition) {
+            return Object.keys(condition)[0];
+        }), ['name.first', 'name.last', 'friends.name.first', 'friends.name.last', 'friends.email'],
+            'String fields the caller can query searched');
+        test.equal(query.$and[1].$or[0]['name.first'].$regex.source, 'a\\.b', 'Words escaped');
+        test.done();
+    },
+    fallbackSort: function (test) {
+        var crud = edgeapi.create({ querySort: { email: 1 } }).config.crud(Sample),
+            find = Sample.find,
+            sorts = [];
+
+        Sample.find = function () {
+            var chain = {
+                select: function () { return chain; },
+                skip: function () { return chain; },
+                limit: function () { return chain; },
+                sort: function (sort) {
+                    sorts.push(sort);
+                    return chain;
+                },
+                exec: function (callback) {
+                    callback(null, []);
+                }
+            };
+            return chain;
+        };
+
+        test.expect(2);
+        crud.search('ed', {}, 10, 'score').then(function () {
+            return crud.search('ed', {}, 10, 'score,name.first:-1');
+        }).then(function () {
+            Sample.find = find;
+            test.deepEqual(sorts[0], { email: 1 }, 'Default sort used when only sorted by score');
+            test.deepEqual(Object.keys(sorts[1]), ['name.first'], 'Score ignored among other fields');
+            test.done();
+        });
+    },
+    searchFields: function (test) {
+        var crud = edgeapi.create({ searchFields: ['email'], queryRegexAnchored: true }).config.crud(Sample);
+
+        test.expect(2);
+        test.equal(crud.buildSearchQuery('ed').email.$regex.source, '^ed', 'Configured fields searched, anchored when required');
+        test.throws(function () {
+            crud.buildSearchQuery('  ');
+        }, /Search text required/, 'Empty searches rejected');
+        test.done();
+    }
+};
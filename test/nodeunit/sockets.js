@@ -0,0 +1,79 @@
+'use strict';
+
+// Node core and 3rd party modules
+var EventEmitter = require('events').EventEmitter,
+    path = require('path');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+exports.sockets = {
+    setUp: function (callback) {
+        this.socket = new EventEmitter();
+        this.socket.handshake = { headers: {}, query: {} };
+        edgeapi.create({
+            authPolicies: { samples: { delete: false } },
+            fieldRules: { email: false }
+        }).resource(Sample).serveSockets(this.socket);
+        callback();
+    },
+    tearDown: function (callback) {
+        this.socket.emit('disconnect');
+        callback();
+    },
+    acknowledged: function (test) {
+        var socket = this.socket,
+            emitted = false;
+
+        socket.on('api.samples.subscribe.response', function () {
+            emitted = true;
+        });
+
+        test.expect(3);
+        socket.emit('api.samples.subscribe', { subscription: 'ack' }, function (error, response) {
+            test.strictEqual(error, null, 'No error acknowledged');
+            test.equal(response.subscription, 'ack', 'Response acknowledged');
+            test.ok(!emitted, 'Response event not emitted when acknowledged');
+            test.done();
+        });
+    },
+    acknowledgedError: function (test) {
+        test.expect(3);
+        this.socket.emit('api.samples.delete', { requestId: 7 }, function (error, response) {
+            test.equal(error.status, 401, 'Error acknowledged');
+            test.equal(error.requestId, 7, 'Request id echoed with error');
+            test.ok(!response, 'No response acknowledged');
+            test.done();
+        });
+    },
+    malformedQuery: function (test) {
+        test.expect(1);
+        this.socket.emit('api.samples.find', { 'name.first.regex': '(' }, function (error) {
+            test.equal(error.status, 400, 'Malformed regular expression acknowledged as a 400');
+            test.done();
+        });
+    },
+    hiddenAggregation: function (test) {
+        var socket = this.socket;
+
+        test.expect(2);
+        socket.on('api.samples.distinct.error', function (error) {
+            test.equal(error.status, 403, 'Distinct values of hidden field forbidden');
+            test.equal(error.requestId, 'd-1', 'Request id echoed with aggregation error');
+            test.done();
+        });
+        socket.emit('api.samples.distinct', { select: 'email', requestId: 'd-1' });
+    },
+    requestId: function (test) {
+        var socket = this.socket;
+
+        test.expect(2);
+        socket.on('api.samples.unsubscribe.response', function (response) {
+            test.equal(response.requestId, 'r-1', 'Request id echoed with response event');
+            test.equal(response.message, 'Unsubscribed', 'Response event emitted');
+            test.done();
+        });
+        socket.emit('api.samples.unsubscribe', { requestId: 'r-1' });
+    }
+};
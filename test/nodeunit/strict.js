@@ -0,0 +1,75 @@
+'use strict';
+
+// Node core and 3rd party modules
+var path = require('path');
+
+// Sample Mongoose schemea and Mongoose-EdgeAPI
+var Sample = require(path.resolve(__dirname + '/../models/Sample')),
+    edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+exports.strict = {
+    setUp: function (callback) {
+        this.config = edgeapi.create({ queryStrict: true, queryRegexAnchored: true, queryMaxDepth: 3, queryMaxIn: 2 }).config;
+        callback();
+    },
+    operators: function (test) {
+        var config = this.config;
+
+        test.expect(3);
+        test.throws(function () {
+            config.checkQuery({ $where: 'this.email' });
+        }, /\$where is not allowed/, '$where rejected');
+        test.throws(function () {
+            config.checkQuery({ $or: [{ email: { $near: [0, 0] } }] });
+        }, /\$near is not allowed/, 'Operators outside the allow-list rejected');
+        test.throws(function () {
+            edgeapi.config.checkQuery({ $or: [{ $where: 'this.email' }] });
+        }, /\$where is not allowed/, '$where rejected unless strict');
+        test.done();
+    },
+    regex: function (test) {
+        var config = this.config,
+            query = config.buildQueryFromParams({ 'email.contains': 'foo' }, ['email']);
+
+        test.expect(5);
+        test.throws(function () {
+            config.buildQueryFromParams({ 'email.regex': '/(/i' }, ['email']);
+        }, function (error) {
+            return error.status === 400 && /Invalid regular expression/.test(error.message);
+        }, 'Malformed regular expressions rejected with a 400');
+        test.doesNotThrow(function () {
+            edgeapi.config.checkQuery({ email: { $near: [0, 0] }, 'name.first': { $regex: new Array(120).join('a') } });
+        }, 'Queries left unchecked unless strict');
+        test.throws(function () {
+            config.checkQuery(query);
+        }, /Regular expression on email must be anchored/, 'Unanchored regular expressions rejected');
+        test.throws(function () {
+            config.checkQuery({ email: { $regex: '^' + new Array(120).join('a') } });
+        }, /exceeds 100 characters/, 'Long regular expressions rejected');
+        test.doesNotThrow(function () {
+            config.checkQuery({ email: /^foo/ });
+        }, 'Anchored regular expressions accepted');
+        test.done();
+    },
+    limits: function (test) {
+        var config = this.config;
+
+        test.expect(2);
+        test.throws(function () {
+            config.checkQuery({ $and: [{ $or: [{ name: { first: { $ne: 'a' } } }] }] });
+        }, /nesting depth of 3/, 'Deeply nested queries rejected');
+        test.throws(function () {
+            config.checkQuery({ email: { $in: ['a', 'b', 'c'] } });
+        }, /\$in on email exceeds 2 values/, 'Large $in rejected');
+        test.done();
+    },
+    crud: function (test) {
+        var crud = this.config.crud(Sample);
+
+        test.expect(1);
+        crud.count({ $where: 'true' }).then(null, function (error) {
+            test.equal(error.status, 400, 'Queries checked before running');
+            test.done();
+        });
+    }
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path'),
+    _ = require('underscore');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var Contact = mongoose.model('Contact', new mongoose.Schema({
+    name: String,
+    tags: [String],
+    phones: [{
+        number: { type: String, required: true },
+        kind: { type: String, enum: ['home', 'work'] },
+        secret: String
+    }]
+}));
+
+/**
+ * Replace Contact.findOne with one resolving to a fixture, saving the fixture only validates it
+ * @param  {Object} contact contact document found
+ * @param  {Array}  saved   contacts saved
+ */
+function stubFindOne(contact, saved) {
+    Contact.findOne = function (query, callback) {
+        callback(null, (String(query._id) === String(contact._id)) ? contact : null);
+    };
+    contact.save = function (callback) {
+        contact.validate(function (error) {
+            if (!error) {
+                saved.push(contact.toObject());
+            }
+            callback(error, contact);
+        });
+    };
+}
+
+exports.subdocuments = {
+    setUp: function (callback) {
+        this.contact = new Contact({ name: 'Ed', phones: [{ number: '555-0100', kind: 'home' }] });
+        this.saved = [];
+        stubFindOne(this.contact, this.saved);
+        this.config = edgeapi.create({ fieldRules: { 'phones.$.secret': { writable: false } } }).config;
+        this.crud = this.config.crud(Contact);
+        callback();
+    },
+    paths: function (test) {
+        test.expect(1);
+        test.deepEqual(this.config.getSubdocumentPaths(Contact.schema), ['phones'], 'Only arrays of sub documents listed');
+        test.done();
+    },
+    add: function (test) {
+        var saved = this.saved;
+
+        test.expect(3);
+        this.crud.addSubdocument(this.contact._id, 'phones', { number: '555-0199', secret: 'x' }).then(function (phone) {
+            test.equal(phone.number, '555-0199', 'Sub document added');
+            test.ok(!phone.secret, 'Unwritable fields discarded');
+            test.equal(saved[0].phones.length, 2, 'Document saved');
+            test.done();
+        });
+    },
+    update: function (test) {
+        var phone = this.contact.phones[0];
+
+        test.expect(2);
+        this.crud.updateSubdocument(this.contact._id, 'phones', phone._id, { kind: 'work' }).then(function (updated) {
+            test.equal(updated.kind, 'work', 'Sub document updated');
+            test.equal(updated.number, '555-0100', 'Other fields left untouched');
+            test.done();
+        });
+    },
+    remove: function (test) {
+        var saved = this.saved;
+
+        test.expect(2);
+        this.crud.removeSubdocument(this.contact._id, 'phones', this.contact.phones[0]._id).then(function (removed) {
+            test.equal(removed.number, '555-0100', 'Removed sub document resolved');
+            test.equal(saved[0].phones.length, 0, 'Sub document removed from the document');
+            test.done();
+        });
+    },
+    notFound: function (test) {
+        var crud = this.crud;
+
+        test.expect(2);
+        crud.updateSubdocument(this.contact._id, 'phones', new mongoose.Types.ObjectId(), { kind: 'work' }).then(function (updated) {
+            test.equal(updated, null, 'Unknown sub document resolves to null');
+            return crud.removeSubdocument(new mongoose.Types.ObjectId(), 'phones', new mongoose.Types.ObjectId());
+        }).then(function (removed) {
+            test.equal(removed, null, 'Unknown document resolves to null');
+            test.done();
+        });
+    },
+    validation: function (test) {
+        var config = this.config,
+            crud = this.crud,
+            id = this.contact._id,
+            saved = this.saved;
+
+        test.expect(4);
+        crud.addSubdocument(id, 'phones', { kind: 'cell' }).then(null, function (error) {
+            test.equal(config.classifyError(error).status, 422, 'Sub documents validated by Mongoose');
+            test.equal(saved.length, 0, 'Invalid sub document not saved');
+            return crud.addSubdocument(id, 'tags', {});
+        }).then(null, function (error) {
+            test.equal(error.status, 404, 'Arrays of values rejected');
+            return edgeapi.create({ validateRequests: true }).config.crud(Contact).addSubdocument(id, 'phones', { kind: 'cell' });
+        }).then(null, function (error) {
+            test.deepEqual(_.keys(error.errors), ['/number', '/kind'], 'Requests validated against the sub document schema');
+            test.done();
+        });
+    }
+};
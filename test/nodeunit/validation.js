@@ -0,0 +1,69 @@
+'use strict';
+
+// Node core and 3rd party modules
+var mongoose = require('mongoose'),
+    path = require('path'),
+    _ = require('underscore');
+
+// Mongoose-EdgeAPI
+var edgeapi = require(path.resolve(__dirname + '/../../src/mongoose-edgeapi'));
+
+var Account = mongoose.model('Account', new mongoose.Schema({
+    email: { type: String, required: true, match: /@/ },
+    age: { type: Number, min: 13 },
+    role: { type: String, enum: ['member', 'admin'] },
+    profile: { handle: { type: String, required: true } },
+    devices: [{ token: { type: String, required: true } }]
+}));
+
+exports.validation = {
+    setUp: function (callback) {
+        this.config = edgeapi.create({ validateRequests: true }).config;
+        this.schema = this.config.buildJsonSchema(Account.schema);
+        callback();
+    },
+    jsonSchema: function (test) {
+        test.expect(3);
+        test.deepEqual(this.schema.required, ['email'], 'Required fields listed');
+        test.deepEqual(this.schema.properties.role.enum, ['member', 'admin'], 'Enum values listed');
+        test.deepEqual(this.schema.properties.devices.items.required, ['token'], 'Sub document required fields listed');
+        test.done();
+    },
+    violations: function (test) {
+        var errors = this.config.validateJsonSchema(this.schema, {
+                age: '9',
+                role: 'owner',
+                profile: {},
+                devices: [{ token: 'a' }, {}]
+            });
+
+        test.expect(2);
+        test.deepEqual(_.pluck(errors, 'pointer'), ['/email', '/age', '/role', '/profile/handle', '/devices/1/token'],
+            'Every violation reported by JSON pointer');
+        test.deepEqual(_.pluck(errors, 'kind'), ['required', 'min', 'enum', 'required', 'required'], 'Violation kinds reported');
+        test.done();
+    },
+    castable: function (test) {
+        var errors = this.config.validateJsonSchema(this.schema, {
+                email: 'foo@bar.com',
+                age: '21',
+                profile: { handle: 'foo' }
+            });
+
+        test.expect(1);
+        test.equal(errors.length, 0, 'Values mongoose casts from strings accepted');
+        test.done();
+    },
+    serialized: function (test) {
+        var crud = this.config.crud(Account),
+            config = this.config;
+
+        test.expect(2);
+        crud.update({}, { $set: { age: 'old' } }).then(null, function (error) {
+            var classified = config.classifyError(error);
+            test.equal(classified.status, 422, 'Invalid update rejected with 422');
+            test.equal(classified.body.errors['/age'].kind, 'type', 'Violations included in the response');
+            test.done();
+        });
+    }
+};